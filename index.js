@@ -1,273 +1,716 @@
 /**
  * Polaris Insights Bot - Multi-Platform Version
- * Fetches insights from Polaris API and sends them to Telegram or Twitter with custom images
+ * Fetches insights from Polaris API and sends them to Telegram and/or Twitter with custom images
  * @author jasbanza
  * @version 4.0.0
  */
 
-import fetch from 'node-fetch';
+import path from 'path';
 import { ConsoleLogColors } from "js-console-log-colors";
-import { config, getChatId, getTwitterCredentials } from './utils/config.js';
-import { readCache, writeCache, isInsightProcessed, addProcessedInsight } from './utils/cache.js';
-import { sendTextMessage, sendPhotoMessage } from './utils/telegram.js';
-import { sendInsightToTwitter, checkTwitterRateLimit } from './utils/twitter.js';
+import { config, isPlatformEnabled } from './utils/config.js';
+import { isInsightProcessed, getIncompleteDelivery, addProcessedInsight, readLatestInsight, writeLatestInsight, readProcessedIds, recordCorrection } from './utils/cache.js';
+import { getEnabledPublishers } from './utils/publishers.js';
 import { getImageForInsight } from './utils/image.js';
+import { isRateLimitError, getRateLimitResetTimestamp, checkPlatformRateLimit } from './utils/rate-limit-cache.js';
+import { startDaemon, isShuttingDown } from './utils/daemon.js';
+import { fetchCuratedInsights, isPolarisUnavailable, PolarisPayloadError } from './utils/polaris.js';
+import { normalizeInsight, normalizeInsights, parsePublishedAt, getInsightFingerprint } from './utils/insight.js';
+import { loadRules, logRules, routeInsight } from './utils/rules.js';
+import { startCommandPolling } from './utils/telegram-commands.js';
 
 const out = new ConsoleLogColors();
 
+const isDaemonMode = process.argv.includes('--daemon');
+const isDryRun = process.argv.includes('--dry-run');
+
 async function main() {
     try {
         validateConfig();
         logConfiguration();
-        await processNewPublishedInsights();
-        out.success('Finished processing insights');
     } catch (error) {
         out.error(`Error: ${error.message}`);
         process.exit(1);
     }
+
+    if (isDryRun) {
+        try {
+            await reportDryRun();
+        } catch (error) {
+            out.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (isDaemonMode) {
+        const commandPolling = config.telegram.commands.enabled ? startCommandPolling() : null;
+        await startDaemon(async () => {
+            const summary = await runCycle();
+            out.success('Finished processing insights');
+            return summary;
+        });
+        await commandPolling;
+        return;
+    }
+
+    try {
+        const summary = await runCycle();
+        if (summary.allRateLimited) {
+            out.warn('Stopping execution to avoid API violations');
+            process.exit(1);
+        }
+        out.success('Finished processing insights');
+    } catch (error) {
+        if (isPolarisUnavailable(error)) {
+            out.error(`Polaris API unavailable - nothing was posted, retry on the next run: ${error.message}`);
+        } else if (error instanceof PolarisPayloadError) {
+            out.error(`Polaris API returned an unexpected payload - check for API changes: ${error.message}`);
+        } else {
+            out.error(`Error: ${error.message}`);
+        }
+        process.exit(1);
+    }
 }
 
 function validateConfig() {
-    out.info(`Platform mode: ${config.platform.mode.toUpperCase()}`);
+    if (config.platform.modes.length === 0) {
+        throw new Error('PLATFORM_MODE is empty. Use \'telegram\', \'twitter\' or a list such as \'telegram,twitter\'');
+    }
     
-    if (config.platform.mode === 'telegram') {
-        if (!config.telegram.token) {
-            throw new Error('Missing TELEGRAM_TOKEN for Telegram mode');
-        }
-        const chatId = getChatId(); // This will throw if misconfigured
-        out.info(`Using chat ID: ${chatId} (${config.telegram.testMode ? 'TEST' : 'PROD'})`);
-    } else if (config.platform.mode === 'twitter') {
-        const credentials = getTwitterCredentials();
-        if (!credentials.apiKey || !credentials.apiSecret || !credentials.accessToken || !credentials.accessTokenSecret) {
-            throw new Error('Missing Twitter API credentials for Twitter mode');
-        }
-        out.info(`Twitter configured - Images: ${config.twitter.postImages ? 'enabled' : 'disabled'} (${config.twitter.testMode ? 'TEST' : 'PROD'})`);
-    } else {
-        throw new Error(`Invalid PLATFORM_MODE: ${config.platform.mode}. Must be 'telegram' or 'twitter'`);
+    const publishers = getEnabledPublishers(); // This will throw on unknown platforms
+    out.info(`Platform mode: ${publishers.map(publisher => publisher.name.toUpperCase()).join(', ')}`);
+    
+    for (const publisher of publishers) {
+        publisher.validateConfig();
+    }
+    
+    loadRules(); // This will throw on an invalid rules file
+    
+    if (config.telegram.commands.enabled && !config.telegram.token) {
+        throw new Error('TELEGRAM_COMMANDS requires TELEGRAM_TOKEN');
+    }
+    
+    if (!['skip', 'post'].includes(config.insights.missingPublishedAtPolicy)) {
+        throw new Error('MISSING_PUBLISHED_AT_POLICY must be \'skip\' or \'post\'');
+    }
+    if (!['all', 'newest', 'skip'].includes(config.insights.catchUpPolicy)) {
+        throw new Error('CATCH_UP_POLICY must be \'all\', \'newest\' or \'skip\'');
+    }
+    if (config.daemon.jitterSeconds < 0) {
+        throw new Error('DAEMON_JITTER_SECONDS must be 0 or more');
     }
 }
 
 function logConfiguration() {
-    if (config.platform.mode === 'telegram' && config.telegram.testMode) {
-        out.warn(`🧪 TEST MODE - Messages sent to: ${config.telegram.testChatId}`);
-    } else if (config.platform.mode === 'twitter' && config.twitter.testMode) {
+    if (isPlatformEnabled('telegram') && config.telegram.testMode) {
+        out.warn(`🧪 TEST MODE - Telegram messages go to the test chat(s) only`);
+    }
+    if (isPlatformEnabled('twitter') && config.twitter.testMode) {
         out.warn(`🧪 TEST MODE - Using test Twitter credentials`);
     }
     
-    out.info(`Processing up to ${config.insights.limit} insights`);
-    out.info(`Minimum age: ${config.insights.minimumAgeMinutes} minutes`);
-    
-    if (config.platform.mode === 'telegram') {
-        out.info(`Overlays - Polaris: ${config.insights.doPolarisLogo}, Tokens: ${config.insights.doTokenLogo}, Circular tokens: ${config.insights.circularClipTokenLogo}`);
-    } else if (config.platform.mode === 'twitter') {
-        out.info(`Twitter images: ${config.twitter.postImages ? 'enabled' : 'disabled'}`);
-        out.info(`Overlays - Polaris: ${config.insights.doPolarisLogo}, Tokens: ${config.insights.doTokenLogo}, Circular tokens: ${config.insights.circularClipTokenLogo}`);
+    out.info(`Fetching ${config.insights.limit} insights per page (up to ${config.insights.maxLookback} back to the last seen insight)`);
+    out.info(`Minimum age: ${config.insights.minimumAgeMinutes} minutes, maximum age: ${config.insights.maximumAgeMinutes ? `${config.insights.maximumAgeMinutes} minutes` : 'none'}`);
+    out.info(`Missing publishedAt: ${config.insights.missingPublishedAtPolicy}, catch-up: ${config.insights.catchUpPolicy}${config.insights.catchUpPolicy === 'all' ? '' : ` (more than ${config.insights.catchUpMaxInsights} pending)`}`);
+    logRules();
+    if (config.telegram.commands.enabled) {
+        out.info(isDaemonMode
+            ? `Telegram commands enabled (${config.telegram.commands.adminIds.length} admin(s) for /status)`
+            : 'TELEGRAM_COMMANDS is set but commands are only answered in daemon mode (--daemon)');
+    }
+    out.info(`Overlays - Polaris: ${config.insights.doPolarisLogo}, Tokens: ${config.insights.doTokenLogo}, Circular tokens: ${config.insights.circularClipTokenLogo}`);
+}
+
+/**
+ * Publishes new insights, then re-checks recent posts for edits and retractions
+ * @returns {Promise<Object>} Summary from processNewPublishedInsights
+ */
+async function runCycle() {
+    const summary = await processNewPublishedInsights();
+    if (config.recheck.windowHours > 0 && !isShuttingDown()) {
+        await recheckRecentPosts();
     }
+    return summary;
 }
 
+/**
+ * Fetches, filters and publishes new insights
+ * @returns {Promise<Object>} Summary with allRateLimited flag and resumeAt (earliest rate limit reset)
+ */
 async function processNewPublishedInsights() {
-    const url = `${config.polaris.apiUrl}/ai/curated-insights?_sort=publishedAt&_order=desc&_end=${config.insights.limit}`;
-    out.info(`Fetching insights from: ${url}`);
+    const rawInsights = await fetchInsightsSinceLastSeen();
+    if (!rawInsights.length) {
+        out.warn('No insights available');
+        return { allRateLimited: false, resumeAt: null };
+    }
 
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    // Malformed insights are quarantined here rather than posted as text-only or placeholder messages
+    const { insights, quarantined } = normalizeInsights(rawInsights);
+    if (quarantined.length) {
+        out.warn(`🚧 ${quarantined.length} malformed insight(s) quarantined - see ${path.basename(config.cache.quarantineFilename)}`);
     }
 
-    const insights = await response.json();
-    if (!insights?.length) {
-        out.warn('No insights available');
-        return;
+    const { toPost: eligibleInsights, skipped } = applyCatchUpPolicy(filterEligibleInsights(insights.reverse()));
+    for (const { insight, destinations } of skipped) {
+        recordSkippedInsight(insight, destinations, 'catch-up');
     }
+    out.info(`${eligibleInsights.length} of ${rawInsights.length} insights eligible for processing`);
 
-    const eligibleInsights = filterEligibleInsights(insights.reverse());
-    out.info(`${eligibleInsights.length} of ${insights.length} insights eligible for processing`);
+    if (eligibleInsights.length === 0) {
+        return { allRateLimited: false, resumeAt: null };
+    }
 
-    // Check Twitter rate limits before processing if using Twitter platform
-    if (config.platform.mode === 'twitter') {
-        out.info('Checking Twitter rate limits before processing...');
-        const rateLimitCheck = await checkTwitterRateLimit();
-        
-        if (!rateLimitCheck.canPost) {
-            out.error(`🛑 TWITTER RATE LIMIT EXCEEDED - ${rateLimitCheck.message}`);
-            out.warn('Stopping execution to avoid API violations');
-            process.exit(1);
-        }
-        
-        out.success(`✅ Twitter rate limits OK - proceeding with ${eligibleInsights.length} insights`);
-        if (rateLimitCheck.tweetLimits) {
-            out.info(`Tweet limit: ${rateLimitCheck.tweetLimits.remaining}/${rateLimitCheck.tweetLimits.limit} remaining`);
-        }
+    const activePublishers = await getPostablePublishers();
+    if (activePublishers.length === 0) {
+        out.error('🛑 No platforms available for posting - all are rate limited');
+        return { allRateLimited: true, resumeAt: getEarliestRateLimitReset(getEnabledPublishers()) };
     }
 
-    for (const insight of eligibleInsights) {
-        try {
-            if (isInsightTooOld(insight)) {
+    // Platforms that hit a rate limit during this run are skipped for the remaining insights
+    const rateLimitedPlatforms = new Set();
+
+    for (const { insight, destinations } of eligibleInsights) {
+        if (isShuttingDown()) {
+            out.warn('Shutdown requested - leaving remaining insights for the next run');
+            break;
+        }
+
+        out.info(`Processing insight: ${insight.id}`);
+        let imageData;
+        const context = {
+            // Render the card once and share it between publishers
+            getImage: async () => {
+                if (imageData === undefined) {
+                    imageData = await getImageForInsight(insight);
+                }
+                return imageData;
+            }
+        };
+
+        for (const publisher of activePublishers) {
+            const platform = publisher.name;
+            const destination = destinations.find(item => item.platform === platform);
+            if (!destination || rateLimitedPlatforms.has(platform) || isInsightProcessed(insight.id, platform)) {
                 continue;
             }
 
-            out.info(`Processing insight: ${insight.id}`);
-            
-            const platformResponse = await sendMessage(insight);
-            
-            if (config.platform.mode === 'telegram' && !platformResponse?.ok) {
-                throw new Error(`Message failed: ${platformResponse?.description || 'Unknown error'}`);
-            } else if (config.platform.mode === 'twitter') {
-                // Twitter returns a string (tweet URL) on success, not an object with data property
-                if (typeof platformResponse === 'string' && platformResponse.includes('twitter.com')) {
-                    out.success(`✅ Tweet posted successfully: ${platformResponse}`);
-                } else if (!platformResponse?.data) {
-                    throw new Error(`Tweet failed: ${platformResponse?.error || 'Unknown error'}`);
-                }
+            // A partly delivered insight is finished even if newer insights were posted since
+            const previous = getIncompleteDelivery(insight.id, platform);
+            if (!previous && isInsightTooOld(insight, platform)) {
+                continue;
             }
 
-            out.success(`Message sent for insight ${insight.id}`);
-            
-            // Update caches with platform response
-            addProcessedInsight(insight.id, extractBackgroundMetadata(insight), platformResponse);
-            writeCache({
-                id: insight.id,
-                publishedAt: insight.publishedAt,
-                sentAt: new Date().toISOString()
-            }, config.cache.filename);
+            try {
+                const payload = await publisher.render(insight, { ...context, target: destination.target });
+                const result = await publisher.send(insight, payload, previous);
+
+                out.success(`Message sent to ${platform} for insight ${insight.id}${result.url ? `: ${result.url}` : ''}`);
+                
+                // Update caches with the normalized publisher result
+                addProcessedInsight(insight.id, platform, extractInsightMetadata(insight), {
+                    ...result,
+                    meta: { ...result.meta, fingerprint: getInsightFingerprint(insight) }
+                });
+                writeLatestInsight(insight, platform);
 
-            // Rate limiting
-            await new Promise(resolve => setTimeout(resolve, 1000));
+                // Rate limiting
+                await new Promise(resolve => setTimeout(resolve, 1000));
 
-        } catch (error) {
-            // Check for rate limit errors (HTTP 429) and exit immediately
-            if (error.message.includes('429') || error.code === 429 || (error.error && error.code === 429)) {
-                out.error(`🛑 RATE LIMIT HIT (429) - Stopping execution immediately to avoid further API violations`);
-                out.warn(`Rate limit details: ${error.message}`);
-                if (error.rateLimit) {
-                    out.warn(`Rate limit info: ${JSON.stringify(error.rateLimit)}`);
+            } catch (error) {
+                if (error.partialResult) {
+                    addProcessedInsight(insight.id, platform, extractInsightMetadata(insight), {
+                        ...error.partialResult,
+                        meta: { ...error.partialResult.meta, fingerprint: getInsightFingerprint(insight) }
+                    });
+                    out.warn(`Insight ${insight.id} was only partly delivered to ${platform} - the rest is retried next run`);
                 }
-                
-                // Ensure rate limit caching completes before exit
-                try {
-                    // Import and cache the rate limit error if not already done
-                    const { cacheRateLimitError } = await import('./utils/rate-limit-cache.js');
-                    if (error.rateLimit) {
-                        cacheRateLimitError(error);
-                        out.info('💾 Rate limit cached before exit');
-                    }
-                } catch (cacheError) {
-                    out.warn(`Failed to cache rate limit: ${cacheError.message}`);
+
+                // Rate limits (HTTP 429) only stop the platform that hit them
+                if (isRateLimitError(error)) {
+                    out.error(`🛑 RATE LIMIT HIT (429) on ${platform} - skipping remaining ${platform} posts this run`);
+                    out.warn(`Rate limit details: ${error.message}`);
+                    rateLimitedPlatforms.add(platform);
+                    continue;
                 }
                 
-                process.exit(1);
+                out.error(`Error processing insight ${insight.id} on ${platform}: ${error.message}`);
+                continue;
             }
-            
-            out.error(`Error processing insight ${insight.id}: ${error.message}`);
-            continue;
         }
+
+        if (rateLimitedPlatforms.size === activePublishers.length) {
+            break;
+        }
+    }
+
+    const allRateLimited = rateLimitedPlatforms.size === activePublishers.length;
+    if (allRateLimited) {
+        out.error('🛑 All platforms are rate limited');
+    }
+
+    return {
+        allRateLimited,
+        resumeAt: allRateLimited ? getEarliestRateLimitReset(activePublishers) : null
+    };
+}
+
+/**
+ * Pages back through the curated insights feed (newest first) until a page contains an insight
+ * that was already seen, so bursts larger than one page aren't silently skipped
+ * @returns {Promise<Object[]>} Raw API insights newest first
+ */
+async function fetchInsightsSinceLastSeen() {
+    const pageSize = config.insights.limit;
+    const maxLookback = Math.max(config.insights.maxLookback, pageSize);
+    const cutoffs = getLastSeenPublishedAt();
+    const hasHistory = Object.values(cutoffs).some(cutoff => cutoff) || readProcessedIds().length > 0;
+    const insights = [];
+    let reachedLastSeen = false;
+    let pages = 0;
+
+    while (insights.length < maxLookback) {
+        const start = insights.length;
+        const end = Math.min(start + pageSize, maxLookback);
+        const page = await fetchCuratedInsights({ start, end });
+        pages++;
+        if (page.length === 0) {
+            break;
+        }
+        insights.push(...page);
+
+        // Without any cached state only the first page is used, as before - run the preseed script for a fresh deploy
+        reachedLastSeen = !hasHistory || page.some(insight => isInsightSeen(insight, cutoffs));
+        if (reachedLastSeen || page.length < end - start) {
+            break;
+        }
+    }
+
+    if (pages > 1) {
+        out.info(`📜 Walked back ${insights.length} insights across ${pages} pages to reach the last seen insight`);
+    }
+    if (!reachedLastSeen && insights.length >= maxLookback) {
+        out.warn(`⚠️ Reached INSIGHTS_MAX_LOOKBACK (${maxLookback}) without finding a previously seen insight - older insights are not fetched`);
     }
+
+    return insights;
 }
 
-function filterEligibleInsights(insights) {
-    const now = new Date();
-    const minAgeMs = config.insights.minimumAgeMinutes * 60 * 1000;
+/**
+ * @returns {Object} "Latest posted" timestamp (Date or null) by enabled platform
+ */
+function getLastSeenPublishedAt() {
+    return Object.fromEntries(config.platform.modes.map(platform => {
+        const { publishedAt } = readLatestInsight(platform);
+        return [platform, publishedAt ? new Date(publishedAt) : null];
+    }));
+}
+
+/**
+ * @returns {string[]} Platforms a raw API insight is routed to - every enabled platform when it is malformed
+ */
+function getRoutedPlatforms(rawInsight) {
+    let insight;
+    try {
+        insight = normalizeInsight(rawInsight);
+    } catch {
+        return config.platform.modes;
+    }
+    return [...new Set(routeInsight(insight).destinations.map(({ platform }) => platform))];
+}
+
+/**
+ * An insight is seen once every platform it is routed to has processed it or posted something newer,
+ * so a rarely targeted platform's old "latest posted" doesn't hold back the others
+ */
+function isInsightSeen(rawInsight, cutoffs) {
+    // Runs on raw API insights, before normalization
+    const id = String(rawInsight?.id);
+    const publishedAt = parsePublishedAt(rawInsight?.publishedAt);
+    const isBefore = cutoff => Boolean(cutoff && publishedAt) && publishedAt < cutoff;
+    const platforms = getRoutedPlatforms(rawInsight);
+
+    // Insights routed nowhere were seen if any platform has posted something newer since
+    if (platforms.length === 0) {
+        return Object.values(cutoffs).some(isBefore);
+    }
+    return platforms.every(platform => isInsightProcessed(id, platform) || isBefore(cutoffs[platform]));
+}
+
+/**
+ * @returns {number|null} Earliest cached rate limit reset (Unix timestamp) among the given publishers
+ */
+function getEarliestRateLimitReset(publishers) {
+    const resets = publishers
+        .map(publisher => getRateLimitResetTimestamp(publisher.name))
+        .filter(reset => reset);
+    return resets.length ? Math.min(...resets) : null;
+}
+
+/**
+ * Runs publisher pre-flight checks and returns the publishers that can post this run
+ */
+async function getPostablePublishers() {
+    const postable = [];
     
-    return insights.filter(insight => {
-        // Check if already processed first
-        if (isInsightProcessed(insight.id)) {
-            out.info(`Insight ${insight.id} already processed, skipping`);
-            return false;
+    for (const publisher of getEnabledPublishers()) {
+        if (publisher.preflight) {
+            out.info(`Running ${publisher.name} pre-flight checks...`);
+            const check = await publisher.preflight();
+            
+            if (!check.canPost) {
+                out.error(`🛑 ${publisher.name.toUpperCase()} CANNOT POST - ${check.message}`);
+                out.warn(`Skipping ${publisher.name} for this run to avoid API violations`);
+                continue;
+            }
+            
+            out.success(`✅ ${publisher.name} pre-flight checks OK`);
         }
-        
-        // Check age
-        const publishedAt = new Date(insight.publishedAt);
-        const ageMs = now.getTime() - publishedAt.getTime();
-        const isOldEnough = ageMs >= minAgeMs;
-        
-        if (!isOldEnough) {
-            const ageMinutes = Math.floor(ageMs / (60 * 1000));
-            out.info(`Insight ${insight.id} too recent (${ageMinutes}min), skipping`);
-            return false;
+        postable.push(publisher);
+    }
+    
+    return postable;
+}
+
+/**
+ * Applies the rules and the processed / age checks to an insight
+ * @param {Object} insight - Normalized insight
+ * @param {Date} now - Reference time
+ * @returns {Object} { route, destinations, skipReason, record } - destinations still to post to, or why the insight
+ *                   is skipped; record is set for permanent skips that should be stored in the processed cache
+ */
+function evaluateInsight(insight, now) {
+    const route = routeInsight(insight, now);
+    if (!route.included) {
+        return { route, destinations: [], skipReason: route.rule ? `excluded by rule "${route.rule}"` : 'excluded by default (no rule matched)' };
+    }
+    if (route.destinations.length === 0) {
+        return { route, destinations: [], skipReason: 'routed to no enabled platform' };
+    }
+    
+    // Only the routed platforms have to be done for an insight to count as processed
+    const destinations = route.destinations.filter(({ platform }) => !isInsightProcessed(insight.id, platform));
+    if (destinations.length === 0) {
+        return { route, destinations, skipReason: 'already processed' };
+    }
+    
+    if (!insight.publishedAt) {
+        if (config.insights.missingPublishedAtPolicy === 'skip') {
+            const problem = insight.raw.publishedAt ? `unparseable publishedAt "${insight.raw.publishedAt}"` : 'no publishedAt';
+            return { route, destinations, skipReason: `has ${problem}`, record: true };
         }
-        
-        return true;
-    });
+        // MISSING_PUBLISHED_AT_POLICY=post - there is no age to check
+        return { route, destinations, skipReason: null };
+    }
+    
+    const ageMs = now.getTime() - new Date(insight.publishedAt).getTime();
+    const ageMinutes = Math.floor(ageMs / (60 * 1000));
+    if (ageMs < config.insights.minimumAgeMinutes * 60 * 1000) {
+        return { route, destinations, skipReason: `too recent (${ageMinutes}min)` };
+    }
+    if (config.insights.maximumAgeMinutes && ageMinutes > config.insights.maximumAgeMinutes) {
+        return { route, destinations, skipReason: `too old (${ageMinutes}min, maximum ${config.insights.maximumAgeMinutes}min)`, record: true };
+    }
+    
+    return { route, destinations, skipReason: null };
 }
 
-function isInsightTooOld(insight) {
-    const cacheData = readCache(config.cache.filename);
-    if (cacheData?.publishedAt) {
-        const cachedDate = new Date(cacheData.publishedAt);
-        const insightDate = new Date(insight.publishedAt);
-        
-        if (insightDate < cachedDate) {
-            out.info(`Insight ${insight.id} older than cache, skipping`);
+/**
+ * @returns {Object[]} [{ insight, destinations }] for insights that should be posted
+ */
+function filterEligibleInsights(insights) {
+    const now = new Date();
+    
+    return insights
+        .map(insight => ({ insight, ...evaluateInsight(insight, now) }))
+        .filter(({ insight, destinations, skipReason, record }) => {
+            if (skipReason) {
+                out.info(`Insight ${insight.id} ${skipReason}, skipping`);
+                if (record) {
+                    recordSkippedInsight(insight, destinations, skipReason);
+                }
+                return false;
+            }
             return true;
-        }
+        });
+}
+
+/**
+ * Applies CATCH_UP_POLICY when more insights are pending than CATCH_UP_MAX_INSIGHTS (e.g. after an outage)
+ * @param {Object[]} eligibleInsights - [{ insight, destinations }] oldest first
+ * @returns {Object} { toPost, skipped }
+ */
+function applyCatchUpPolicy(eligibleInsights) {
+    const { catchUpPolicy, catchUpMaxInsights } = config.insights;
+    if (catchUpPolicy === 'all' || eligibleInsights.length <= catchUpMaxInsights) {
+        return { toPost: eligibleInsights, skipped: [] };
+    }
+    
+    const keep = catchUpPolicy === 'newest' ? catchUpMaxInsights : 0;
+    const splitIndex = eligibleInsights.length - keep;
+    out.warn(`⏩ Catching up: ${eligibleInsights.length} insights pending (CATCH_UP_POLICY=${catchUpPolicy}) - posting ${keep}, skipping ${splitIndex}`);
+    
+    return {
+        toPost: eligibleInsights.slice(splitIndex),
+        skipped: eligibleInsights.slice(0, splitIndex)
+    };
+}
+
+/**
+ * Marks an insight as handled without posting it, so later runs don't reconsider it
+ */
+function recordSkippedInsight(insight, destinations, reason) {
+    for (const { platform } of destinations) {
+        addProcessedInsight(insight.id, platform, extractInsightMetadata(insight), {
+            id: null,
+            url: null,
+            meta: { skipped: true, skipReason: reason }
+        });
+    }
+}
+
+function isOlderThanLatest(insight, platform) {
+    const cacheData = readLatestInsight(platform);
+    return Boolean(cacheData?.publishedAt && insight.publishedAt) && new Date(insight.publishedAt) < new Date(cacheData.publishedAt);
+}
+
+function isInsightTooOld(insight, platform) {
+    if (isOlderThanLatest(insight, platform)) {
+        out.info(`Insight ${insight.id} older than ${platform} cache, skipping`);
+        return true;
     }
     return false;
 }
 
-function extractBackgroundMetadata(insight) {
-    const metadata = {};
-    if (insight.backgroundType && insight.backgroundValue) {
-        metadata.backgroundType = insight.backgroundType;
-        metadata.backgroundValue = insight.backgroundValue;
+function formatDestination({ platform, target }) {
+    return target ? `${platform}:${target}` : platform;
+}
+
+/**
+ * Fetches insights and explains, without posting or caching, what a run would do with each one
+ */
+async function reportDryRun() {
+    out.warn('🔍 DRY RUN MODE - Nothing will be posted or cached');
+    
+    const rawInsights = await fetchInsightsSinceLastSeen();
+    const { insights, quarantined } = normalizeInsights(rawInsights, { record: false });
+    const now = new Date();
+    
+    const evaluated = insights.reverse().map(insight => ({ insight, ...evaluateInsight(insight, now) }));
+    const { skipped } = applyCatchUpPolicy(evaluated.filter(({ skipReason }) => !skipReason));
+    
+    for (const item of evaluated) {
+        const { insight, route, destinations, skipReason, record } = item;
+        
+        out.info(`${insight.id} - "${insight.headline}" (${insight.publishedAt || 'no publishedAt'})`);
+        out.info(`    Rule: ${route.rule ? `"${route.rule}" matched on ${route.reason}` : route.reason}`);
+        
+        if (skipReason) {
+            out.warn(`    ⏭️ Skip: ${skipReason}${record ? ' (would be recorded as skipped)' : ''}`);
+            continue;
+        }
+        if (skipped.includes(item)) {
+            out.warn(`    ⏭️ Skip: catch-up (would be recorded as skipped)`);
+            continue;
+        }
+        
+        const fresh = destinations.filter(({ platform }) => !isOlderThanLatest(insight, platform));
+        const stale = destinations.filter(({ platform }) => isOlderThanLatest(insight, platform));
+        if (fresh.length) {
+            out.success(`    ✅ Would post to: ${fresh.map(formatDestination).join(', ')}`);
+        }
+        if (stale.length) {
+            out.warn(`    ⏭️ Older than the latest posted insight on: ${stale.map(formatDestination).join(', ')}`);
+        }
+    }
+    
+    for (const { id, reason } of quarantined) {
+        out.warn(`${id} - 🚧 Quarantined: ${reason}`);
     }
-    return metadata;
 }
 
-async function sendMessage(insight) {
+/**
+ * Re-reads insights posted within RECHECK_WINDOW_HOURS from the curated insights feed and edits or
+ * deletes their posts on platforms that support it when the insight changed or was retracted
+ */
+async function recheckRecentPosts() {
+    const publishers = getEnabledPublishers()
+        .filter(publisher => publisher.update || publisher.remove)
+        .filter(publisher => checkPlatformRateLimit(publisher.name).canPost);
+    if (publishers.length === 0) {
+        return;
+    }
+    
+    const since = Date.now() - config.recheck.windowHours * 60 * 60 * 1000;
+    const candidates = readProcessedIds()
+        .filter(item => typeof item === 'object' && item.platforms)
+        .map(item => ({
+            id: item.id,
+            publishedAt: item.publishedAt,
+            posts: publishers
+                .map(publisher => ({ publisher, previous: item.platforms[publisher.name] }))
+                .filter(({ previous }) => isRecheckable(previous, since))
+        }))
+        .filter(({ posts }) => posts.length > 0)
+        .slice(-config.recheck.maxInsights);
+    
+    if (candidates.length === 0) {
+        return;
+    }
+    out.info(`🔁 Re-checking ${candidates.length} recently posted insight(s) for edits and retractions`);
+    
+    let listing;
     try {
-        if (config.platform.mode === 'telegram') {
-            return await sendTelegramMessage(insight);
-        } else if (config.platform.mode === 'twitter') {
-            return await sendTwitterMessage(insight);
-        } else {
-            throw new Error(`Unsupported platform mode: ${config.platform.mode}`);
-        }
+        listing = await fetchRecheckListing(candidates);
     } catch (error) {
-        out.error(`Error sending message: ${error.message}`);
+        out.error(`Could not re-check recent posts: ${error.message}`);
+        return;
+    }
+    
+    for (const { id, publishedAt, posts } of candidates) {
+        if (isShuttingDown()) {
+            break;
+        }
         
-        // Fallback handling by platform
-        if (config.platform.mode === 'telegram') {
-            out.warn(`Falling back to text message for insight ${insight.id}`);
-            return await sendTextMessage({ insight });
+        const raw = listing.insights.get(id);
+        if (raw) {
+            await updateChangedPosts(id, raw, posts);
+        } else if (isRetracted(publishedAt, listing.oldestPublishedAt)) {
+            await removeRetractedPosts(id, posts);
         } else {
-            throw error; // Re-throw for Twitter as there's no fallback
+            out.info(`Insight ${id} is not in the ${listing.insights.size} newest insights - leaving its posts unchanged`);
         }
     }
 }
 
-async function sendTelegramMessage(insight) {
-    const imageData = await getImageForInsight(insight);
+/**
+ * Walks the curated insights feed back until it has passed every re-check candidate
+ * @param {Object[]} candidates - [{ id, publishedAt }]
+ * @returns {Promise<Object>} { insights: Map of raw insights by ID, oldestPublishedAt: oldest date listed, or null }
+ */
+async function fetchRecheckListing(candidates) {
+    const pageSize = config.insights.limit;
+    const maxLookback = Math.max(config.insights.maxLookback, pageSize);
+    const candidateDates = candidates.map(({ publishedAt }) => parsePublishedAt(publishedAt)).filter(date => date);
+    const oldestCandidate = candidateDates.length ? new Date(Math.min(...candidateDates)) : null;
+    const insights = new Map();
+    let oldestPublishedAt = null;
     
-    if (imageData) {
-        if (typeof imageData === 'string') {
-            out.info(`Sending photo with URL for insight ${insight.id}`);
-            return await sendPhotoMessage({ insight, imageUrl: imageData });
-        } else if (Buffer.isBuffer(imageData)) {
-            out.info(`Sending photo with buffer for insight ${insight.id}`);
-            return await sendPhotoMessage({ insight, imageBuffer: imageData });
+    for (let start = 0; start < maxLookback; start += pageSize) {
+        const end = Math.min(start + pageSize, maxLookback);
+        const page = await fetchCuratedInsights({ start, end });
+        for (const raw of page) {
+            insights.set(String(raw?.id), raw);
+            const publishedAt = parsePublishedAt(raw?.publishedAt);
+            if (publishedAt && (!oldestPublishedAt || publishedAt < oldestPublishedAt)) {
+                oldestPublishedAt = publishedAt;
+            }
+        }
+        
+        const allFound = candidates.every(({ id }) => insights.has(id));
+        const passedCandidates = Boolean(oldestCandidate && oldestPublishedAt) && oldestPublishedAt < oldestCandidate;
+        if (allFound || passedCandidates || page.length < end - start) {
+            break;
         }
     }
     
-    out.info(`Sending text message for insight ${insight.id}`);
-    return await sendTextMessage({ insight });
+    return { insights, oldestPublishedAt };
+}
+
+/**
+ * An insight only counts as retracted when the feed lists older insights but no longer lists it.
+ * Posts stored without publishedAt (before it was recorded) are never deleted
+ */
+function isRetracted(publishedAt, oldestListed) {
+    const date = parsePublishedAt(publishedAt);
+    return Boolean(date && oldestListed) && oldestListed < date;
 }
 
-async function sendTwitterMessage(insight) {
-    let imageBuffer = null;
+function isRecheckable(previous, since) {
+    return Boolean(previous?.id)
+        && !previous.skipped && !previous.preseeded && !previous.deleted
+        && new Date(previous.processedAt).getTime() >= since;
+}
+
+async function removeRetractedPosts(id, posts) {
+    out.warn(`Insight ${id} was retracted`);
     
-    if (config.twitter.postImages) {
-        const imageData = await getImageForInsight(insight);
-        if (Buffer.isBuffer(imageData)) {
-            imageBuffer = imageData;
-            out.info(`Sending tweet with image for insight ${insight.id}`);
-        } else {
-            out.info(`Sending text-only tweet for insight ${insight.id}`);
+    for (const { publisher, previous } of posts) {
+        const platform = publisher.name;
+        if (!publisher.remove) {
+            out.warn(`${platform} posts can't be deleted - remove insight ${id} by hand: ${previous.url || previous.id}`);
+            recordCorrection(id, platform, { deleted: false }, { type: 'delete-unsupported', reason: 'retracted' });
+            continue;
+        }
+        
+        try {
+            await publisher.remove(previous);
+            recordCorrection(id, platform, { deleted: true }, { type: 'delete', reason: 'retracted' });
+            out.success(`🗑️ Deleted ${platform} post for retracted insight ${id}`);
+        } catch (error) {
+            out.error(`Error deleting ${platform} post for insight ${id}: ${error.message}`);
         }
-    } else {
-        out.info(`Sending text-only tweet for insight ${insight.id} (images disabled)`);
     }
+}
+
+async function updateChangedPosts(id, raw, posts) {
+    let insight;
+    try {
+        insight = normalizeInsight(raw);
+    } catch (error) {
+        out.warn(`Insight ${id} no longer validates (${error.message}) - leaving its posts unchanged`);
+        return;
+    }
+    
+    const fingerprint = getInsightFingerprint(insight);
+    let imageData;
+    const context = {
+        getImage: async () => {
+            if (imageData === undefined) {
+                imageData = await getImageForInsight(insight);
+            }
+            return imageData;
+        }
+    };
     
-    return await sendInsightToTwitter(insight, imageBuffer, config);
+    for (const { publisher, previous } of posts) {
+        const platform = publisher.name;
+        
+        // Posts sent before fingerprints were stored get a baseline instead of an edit
+        if (!previous.fingerprint) {
+            recordCorrection(id, platform, { fingerprint });
+            continue;
+        }
+        
+        const changed = Object.keys(fingerprint).filter(key => previous.fingerprint[key] !== fingerprint[key]);
+        if (changed.length === 0) {
+            continue;
+        }
+        
+        if (!publisher.update) {
+            out.warn(`Insight ${id} changed (${changed.join(', ')}) but ${platform} posts can't be edited`);
+            recordCorrection(id, platform, { fingerprint }, { type: 'edit-unsupported', changed });
+            continue;
+        }
+        
+        try {
+            const payload = await publisher.render(insight, { ...context, target: null });
+            const changes = await publisher.update(insight, previous, payload, changed);
+            recordCorrection(id, platform, { ...changes, fingerprint }, { type: 'edit', changed });
+            out.success(`✏️ Updated ${platform} post for insight ${id} (${changed.join(', ')} changed)`);
+        } catch (error) {
+            out.error(`Error updating ${platform} post for insight ${id}: ${error.message}`);
+        }
+    }
+}
+
+function extractInsightMetadata(insight) {
+    // publishedAt lets the re-check tell a retracted insight from one that is further back in the feed
+    const metadata = insight.publishedAt ? { publishedAt: insight.publishedAt } : {};
+    if (insight.backgroundType && insight.backgroundValue) {
+        metadata.backgroundType = insight.backgroundType;
+        metadata.backgroundValue = insight.backgroundValue;
+    }
+    return metadata;
 }
 
 // Start the bot
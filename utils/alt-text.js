@@ -0,0 +1,87 @@
+/**
+ * Image alt text
+ * Describes the card rendered for an insight - headline, subject, the graphic it shows and its
+ * background - for screen readers. An author-provided description (insight.altText, from the API's
+ * altText / imageAltText) replaces the generated one.
+ */
+
+import { config } from './config.js';
+import { truncatePlainText } from './telegram-format.js';
+
+// Smallest limit among the platforms (Twitter media metadata)
+export const DEFAULT_ALT_TEXT_LENGTH = 1000;
+
+function describeSubject(subject) {
+    if (!subject || (!subject.symbol && !subject.name)) {
+        return null;
+    }
+    const token = subject.symbol && subject.name ? `${subject.name} ($${subject.symbol})` : subject.name || `$${subject.symbol}`;
+    return subject.chain ? `${token} on ${subject.chain}` : token;
+}
+
+/**
+ * "chart", "price-chart" and "graphics" become "chart", "price chart" and "graphic"
+ */
+function describeVisualization({ visualizationType, visualizationValue, backgroundType }) {
+    if (!visualizationValue && backgroundType !== 'image') {
+        return null;
+    }
+    const type = (visualizationType || 'graphic').replace(/[-_]+/g, ' ').toLowerCase();
+    return type === 'graphics' ? 'graphic' : type;
+}
+
+/**
+ * Colors are Tailwind-style names from colors.json: "gray-800" reads as "dark gray"
+ * Image backgrounds are the graphic itself, so only color backgrounds are described
+ */
+function describeBackground({ backgroundType, backgroundValue }) {
+    if (backgroundType !== 'color') {
+        return null;
+    }
+
+    const [, name, shade] = (backgroundValue || config.insights.defaultBackgroundColor).match(/^([a-z]+)(?:-(\d+))?$/i) || [];
+    if (!name) {
+        return 'a solid color background';
+    }
+    const tone = shade ? (Number(shade) >= 500 ? 'dark ' : 'light ') : '';
+    return `a ${tone}${name.toLowerCase()} background`;
+}
+
+/**
+ * Builds the alt text for an insight's image
+ * @param {Object} insight - Normalized insight
+ * @param {Object} options - Options
+ * @param {number} options.maxLength - The platform's alt text limit
+ * @param {boolean} options.card - False for the original graphic, which has no logo overlays
+ * @returns {string} insight.altText when provided, otherwise a generated description
+ */
+export function getAltText(insight, { maxLength = DEFAULT_ALT_TEXT_LENGTH, card = true } = {}) {
+    if (insight.altText) {
+        return truncatePlainText(insight.altText, maxLength);
+    }
+
+    const subject = describeSubject(insight.subject);
+    const visualization = describeVisualization(insight);
+    const background = describeBackground(insight);
+    const hasTokenLogo = card && config.insights.doTokenLogo && insight.tokenLogoUrls.length > 0;
+
+    const sentences = [`Polaris insight: ${insight.headline.replace(/[.!?]*$/, '')}.`];
+    if (subject) {
+        sentences.push(`About ${subject}.`);
+    }
+    if (visualization) {
+        sentences.push(`The image shows a ${visualization}${background ? ` on ${background}` : ''}.`);
+    } else if (background) {
+        sentences.push(`The image has ${background}.`);
+    }
+
+    const overlays = [
+        card && config.insights.doPolarisLogo && 'the Polaris logo',
+        hasTokenLogo && (insight.tokenLogoUrls.length > 1 ? 'token logos' : 'the token logo')
+    ].filter(overlay => overlay);
+    if (overlays.length) {
+        sentences.push(`It carries ${overlays.join(' and ')}.`);
+    }
+
+    return truncatePlainText(sentences.join(' '), maxLength);
+}
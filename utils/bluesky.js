@@ -0,0 +1,309 @@
+/**
+ * Bluesky (AT Protocol) utility module for posting insights
+ * Sessions are cached between runs and refreshed instead of logging in on every cron tick
+ */
+
+import fetch from 'node-fetch';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getBlueskyCredentials } from './config.js';
+import { readCache, writeCache } from './cache.js';
+import { cacheRateLimitError, checkPlatformRateLimit } from './rate-limit-cache.js';
+import { getImageInfo, toImageBuffer } from './image.js';
+import { getAltText } from './alt-text.js';
+
+const out = new ConsoleLogColors();
+const MAX_GRAPHEMES = 300;
+const MAX_BLOB_BYTES = 1000000;
+const MAX_ALT_LENGTH = 2000;
+// Refresh tokens a minute early so they don't expire mid-request
+const TOKEN_EXPIRY_MARGIN_SECONDS = 60;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Calls an XRPC endpoint on the configured service
+ * @param {string} nsid - Lexicon method, e.g. com.atproto.repo.createRecord
+ * @param {Object} options - Request options
+ * @param {string} options.token - Bearer token (access or refresh JWT)
+ * @param {Object|Buffer} options.body - JSON body or raw bytes
+ * @param {string} options.contentType - Content type for raw bodies
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function xrpc(nsid, { token, body, contentType } = {}) {
+    const headers = {};
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    let requestBody;
+    if (Buffer.isBuffer(body)) {
+        headers['Content-Type'] = contentType;
+        requestBody = body;
+    } else if (body) {
+        headers['Content-Type'] = 'application/json';
+        requestBody = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${config.bluesky.service}/xrpc/${nsid}`, {
+        method: 'POST',
+        headers,
+        body: requestBody
+    });
+
+    if (response.status === 429) {
+        const error = new Error(`Bluesky rate limit exceeded (429) on ${nsid}`);
+        error.code = 429;
+        error.rateLimit = {
+            remaining: 0,
+            limit: parseInt(response.headers.get('ratelimit-limit'), 10) || null,
+            reset: parseInt(response.headers.get('ratelimit-reset'), 10) || Math.ceil(Date.now() / 1000) + 300
+        };
+        cacheRateLimitError(error, 'bluesky');
+        throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(`Bluesky API error! status: ${response.status}, error: ${data.error || 'Unknown'} - ${data.message || ''}`);
+        error.code = response.status;
+        error.xrpcError = data.error;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Reads the expiry time from a JWT without verifying it
+ * @param {string} jwt - Access or refresh JWT
+ * @returns {number} Expiry as Unix timestamp (0 if unreadable)
+ */
+function getJwtExpiry(jwt) {
+    try {
+        const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'));
+        return payload.exp || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function isTokenValid(jwt) {
+    return Boolean(jwt) && getJwtExpiry(jwt) - TOKEN_EXPIRY_MARGIN_SECONDS > Math.floor(Date.now() / 1000);
+}
+
+function saveSession(session, identifier) {
+    const cached = {
+        identifier,
+        did: session.did,
+        handle: session.handle,
+        accessJwt: session.accessJwt,
+        refreshJwt: session.refreshJwt,
+        updatedAt: new Date().toISOString()
+    };
+    writeCache(cached, config.cache.blueskySessionFilename);
+    return cached;
+}
+
+/**
+ * Returns a usable session, reusing or refreshing the cached one when possible
+ * @param {boolean} forceRefresh - Ignore the cached access token (e.g. after an ExpiredToken error)
+ * @returns {Promise<Object>} Session with did, handle and accessJwt
+ */
+export async function getSession(forceRefresh = false) {
+    const { identifier, appPassword } = getBlueskyCredentials();
+    const cached = readCache(config.cache.blueskySessionFilename);
+    const isSameAccount = cached.identifier === identifier;
+
+    if (isSameAccount && !forceRefresh && isTokenValid(cached.accessJwt)) {
+        return cached;
+    }
+
+    if (isSameAccount && isTokenValid(cached.refreshJwt)) {
+        try {
+            out.info('🔄 Refreshing Bluesky session');
+            return saveSession(await xrpc('com.atproto.server.refreshSession', { token: cached.refreshJwt }), identifier);
+        } catch (error) {
+            if (error.code === 429) {
+                throw error;
+            }
+            out.warn(`Bluesky session refresh failed, logging in again: ${error.message}`);
+        }
+    }
+
+    out.info(`🔐 Creating Bluesky session for ${identifier}`);
+    const session = await xrpc('com.atproto.server.createSession', {
+        body: { identifier, password: appPassword }
+    });
+    return saveSession(session, identifier);
+}
+
+/**
+ * Calls an authenticated endpoint, refreshing the session once if the token was rejected
+ */
+async function authenticatedXrpc(nsid, options) {
+    const session = await getSession();
+    try {
+        return await xrpc(nsid, { ...options, token: session.accessJwt });
+    } catch (error) {
+        if (error.xrpcError !== 'ExpiredToken' && error.xrpcError !== 'InvalidToken') {
+            throw error;
+        }
+        const refreshed = await getSession(true);
+        return await xrpc(nsid, { ...options, token: refreshed.accessJwt });
+    }
+}
+
+function countGraphemes(text) {
+    return [...graphemeSegmenter.segment(text)].length;
+}
+
+/**
+ * Formats insight text for Bluesky (300 grapheme limit) with a link facet for the URL
+ * Facet offsets are UTF-8 byte positions as required by app.bsky.richtext.facet
+ * @param {Object} insight - The insight object
+ * @param {string} insightUrl - The URL to the insight
+ * @returns {Object} { text, facets }
+ */
+export function formatInsightForBluesky(insight, insightUrl) {
+    const separator = '\n\n';
+    const availableLength = MAX_GRAPHEMES - countGraphemes(insightUrl) - separator.length;
+
+    let text = insight.headline;
+    if (countGraphemes(text) > availableLength) {
+        const graphemes = [...graphemeSegmenter.segment(text)].map(({ segment }) => segment);
+        text = graphemes.slice(0, availableLength - 1).join('').trimEnd() + '…';
+    }
+
+    const prefix = `${text}${separator}`;
+    const byteStart = Buffer.byteLength(prefix, 'utf8');
+
+    return {
+        text: `${prefix}${insightUrl}`,
+        facets: [{
+            index: { byteStart, byteEnd: byteStart + Buffer.byteLength(insightUrl, 'utf8') },
+            features: [{ $type: 'app.bsky.richtext.facet#link', uri: insightUrl }]
+        }]
+    };
+}
+
+/**
+ * Uploads an image as a blob
+ * @param {Buffer} imageBuffer - Image data
+ * @param {string} mimetype - The image's type, from getImageInfo()
+ * @returns {Promise<Object>} Blob reference for embedding
+ */
+export async function uploadBlob(imageBuffer, mimetype) {
+    const data = await authenticatedXrpc('com.atproto.repo.uploadBlob', {
+        body: imageBuffer,
+        contentType: mimetype
+    });
+    return data.blob;
+}
+
+/**
+ * Creates a post record
+ * @param {Object} post - Post options
+ * @param {string} post.text - Post text
+ * @param {Object[]} post.facets - Rich text facets
+ * @param {Object|null} post.image - { blob, alt, width, height } to embed; the size is optional
+ * @returns {Promise<Object>} { uri, cid, url }
+ */
+export async function createPost({ text, facets, image }) {
+    const session = await getSession();
+    const record = {
+        $type: 'app.bsky.feed.post',
+        text,
+        facets,
+        createdAt: new Date().toISOString()
+    };
+
+    if (image) {
+        record.embed = {
+            $type: 'app.bsky.embed.images',
+            images: [{
+                alt: image.alt,
+                image: image.blob
+            }]
+        };
+        if (image.width && image.height) {
+            record.embed.images[0].aspectRatio = { width: image.width, height: image.height };
+        }
+    }
+
+    const data = await authenticatedXrpc('com.atproto.repo.createRecord', {
+        body: { repo: session.did, collection: 'app.bsky.feed.post', record }
+    });
+
+    const rkey = data.uri.split('/').pop();
+    return { ...data, url: `https://bsky.app/profile/${session.handle}/post/${rkey}` };
+}
+
+export const blueskyPublisher = {
+    name: 'bluesky',
+
+    validateConfig() {
+        const { identifier } = getBlueskyCredentials(); // This will throw if misconfigured
+        out.info(`Bluesky configured - ${identifier} on ${config.bluesky.service} (${config.bluesky.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        const check = checkPlatformRateLimit('bluesky');
+        if (!check.canPost) {
+            return check;
+        }
+
+        try {
+            const session = await getSession();
+            return { canPost: true, message: `Session OK for @${session.handle}` };
+        } catch (error) {
+            return { canPost: false, message: `Bluesky login failed: ${error.message}` };
+        }
+    },
+
+    async render(insight, { getImage }) {
+        const imageData = await getImage();
+        let imageBuffer = await toImageBuffer(imageData);
+        const imageInfo = getImageInfo(imageBuffer);
+
+        if (imageBuffer && imageBuffer.length > MAX_BLOB_BYTES) {
+            out.warn(`Card is ${imageBuffer.length} bytes, over Bluesky's ${MAX_BLOB_BYTES} byte limit - posting without image`);
+            imageBuffer = null;
+        } else if (imageBuffer && !imageInfo) {
+            out.warn(`Image for insight ${insight.id} isn't a JPEG, PNG, GIF or WebP - posting without image`);
+            imageBuffer = null;
+        }
+
+        return {
+            ...formatInsightForBluesky(insight, insight.url),
+            imageBuffer,
+            imageInfo,
+            alt: getAltText(insight, { maxLength: MAX_ALT_LENGTH, card: Buffer.isBuffer(imageData) })
+        };
+    },
+
+    async send(insight, { text, facets, imageBuffer, imageInfo, alt }) {
+        let image = null;
+        if (imageBuffer) {
+            out.info(`Uploading card to Bluesky for insight ${insight.id}`);
+            image = {
+                blob: await uploadBlob(imageBuffer, imageInfo.mimetype),
+                alt,
+                width: imageInfo.width,
+                height: imageInfo.height
+            };
+        }
+
+        out.info(`Creating Bluesky post for insight ${insight.id}`);
+        const post = await createPost({ text, facets, image });
+
+        return {
+            id: post.uri,
+            url: post.url,
+            raw: post,
+            meta: {
+                uri: post.uri,
+                cid: post.cid
+            }
+        };
+    }
+};
@@ -25,10 +25,22 @@ export function writeCache(data, filename) {
     }
 }
 
+/**
+ * Brings an entry written before IDs were normalized to strings in line with newer ones
+ * @param {string|number|Object} item - Legacy bare ID or entry object
+ * @returns {string|Object} Bare ID or entry object, with its ID as a string
+ */
+function normalizeProcessedEntry(item) {
+    if (item === null || typeof item !== 'object') {
+        return String(item);
+    }
+    return typeof item.id === 'string' ? item : { ...item, id: String(item.id) };
+}
+
 export function readProcessedIds() {
     try {
         const data = readCache(config.cache.processedIdsFilename);
-        return Array.isArray(data.processedIds) ? data.processedIds : [];
+        return Array.isArray(data.processedIds) ? data.processedIds.map(normalizeProcessedEntry) : [];
     } catch (error) {
         return [];
     }
@@ -43,41 +55,183 @@ export function writeProcessedIds(processedIds) {
     }, config.cache.processedIdsFilename);
 }
 
-export function isInsightProcessed(insightId) {
-    const processedInsights = readProcessedIds();
-    return processedInsights.some(item => 
-        typeof item === 'string' ? item === insightId : item.id === insightId
+function findProcessedIndex(processedInsights, insightId) {
+    return processedInsights.findIndex(item => 
+        (typeof item === 'string' ? item : item.id) === String(insightId)
     );
 }
 
-export function addProcessedInsight(insightId, metadata = {}, platformResponse = null) {
+function isProcessedOnPlatform(item, platform) {
+    // Legacy entries stored a bare ID and count as processed everywhere
+    if (typeof item === 'string') {
+        return true;
+    }
+    if (item.platforms?.[platform]) {
+        // Partly delivered insights (e.g. one of several Telegram chats failed) are retried
+        return item.platforms[platform].complete !== false;
+    }
+    // Entries written before per-platform tracking carry a single platform field
+    return item.platform === platform;
+}
+
+export function isInsightProcessed(insightId, platform) {
     const processedInsights = readProcessedIds();
-    const existingIndex = processedInsights.findIndex(item => 
-        typeof item === 'string' ? item === insightId : item.id === insightId
-    );
+    const item = processedInsights[findProcessedIndex(processedInsights, insightId)];
+    return item ? isProcessedOnPlatform(item, platform) : false;
+}
+
+/**
+ * @param {string} insightId - Insight ID
+ * @param {string} platform - Platform name
+ * @returns {Object|null} Stored delivery of a partly delivered insight, or null
+ */
+export function getIncompleteDelivery(insightId, platform) {
+    const processedInsights = readProcessedIds();
+    const platformData = processedInsights[findProcessedIndex(processedInsights, insightId)]?.platforms?.[platform];
+    return platformData?.complete === false ? platformData : null;
+}
+
+export function addProcessedInsight(insightId, platform, metadata = {}, result = null) {
+    const processedInsights = readProcessedIds();
+    const existingIndex = findProcessedIndex(processedInsights, insightId);
+    const existing = processedInsights[existingIndex];
     
-    if (existingIndex === -1) {
-        const insightData = {
-            id: insightId,
-            processedAt: new Date().toISOString(),
-            platform: config.platform.mode,
-            testMode: config.platform.mode === 'telegram' ? config.telegram.testMode : config.twitter.testMode,
-            ...metadata
+    if (existing && isProcessedOnPlatform(existing, platform)) {
+        return;
+    }
+    
+    const platformData = {
+        processedAt: new Date().toISOString(),
+        testMode: config[platform]?.testMode ?? false
+    };
+    
+    // Store the normalized publisher result, leaving out the raw API response
+    if (result) {
+        const { raw, meta, ...fields } = result;
+        Object.assign(platformData, fields, meta);
+    }
+    
+    if (existing) {
+        processedInsights[existingIndex] = {
+            ...existing,
+            ...metadata,
+            platforms: { ...existing.platforms, [platform]: platformData }
         };
-        
-        // Add platform-specific response data
-        if (platformResponse) {
-            if (config.platform.mode === 'twitter') {
-                insightData.url = platformResponse.url;
-                insightData.tweetId = platformResponse.id;
-                insightData.timestamp = platformResponse.timestamp;
-            } else if (config.platform.mode === 'telegram' && platformResponse.result) {
-                insightData.messageId = platformResponse.result.message_id;
-                insightData.chatId = platformResponse.result.chat.id;
+    } else {
+        processedInsights.push({
+            id: insightId,
+            processedAt: platformData.processedAt,
+            ...metadata,
+            platforms: { [platform]: platformData }
+        });
+    }
+    
+    writeProcessedIds(processedInsights);
+}
+
+/**
+ * Updates the stored delivery of an insight after it was edited or deleted
+ * @param {string} insightId - Insight ID
+ * @param {string} platform - Platform name
+ * @param {Object} changes - Fields to merge into the platform entry
+ * @param {Object|null} correction - Entry appended to the platform's corrections log, e.g. { type: 'edit', changed }
+ */
+export function recordCorrection(insightId, platform, changes, correction = null) {
+    const processedInsights = readProcessedIds();
+    const index = findProcessedIndex(processedInsights, insightId);
+    const item = processedInsights[index];
+    
+    if (!item?.platforms?.[platform]) {
+        return;
+    }
+    
+    const platformData = item.platforms[platform];
+    const corrections = platformData.corrections || [];
+    
+    processedInsights[index] = {
+        ...item,
+        platforms: {
+            ...item.platforms,
+            [platform]: {
+                ...platformData,
+                ...changes,
+                corrections: correction ? [...corrections, { ...correction, at: new Date().toISOString() }] : corrections
             }
         }
-        
-        processedInsights.push(insightData);
-        writeProcessedIds(processedInsights);
+    };
+    
+    writeProcessedIds(processedInsights);
+}
+
+export function readLatestInsight(platform) {
+    const cacheData = readCache(config.cache.filename);
+    // Fall back to the overall latest so a newly enabled platform doesn't backfill history
+    return cacheData.platforms?.[platform] || cacheData;
+}
+
+export function writeLatestInsight(insight, platform) {
+    // Undated insights can't serve as a cutoff
+    if (!insight.publishedAt) {
+        return;
+    }
+    
+    const cacheData = readCache(config.cache.filename);
+    const latest = {
+        id: insight.id,
+        publishedAt: insight.publishedAt,
+        sentAt: new Date().toISOString()
+    };
+    const isNewest = !cacheData.publishedAt || new Date(insight.publishedAt) >= new Date(cacheData.publishedAt);
+    
+    writeCache({
+        ...cacheData,
+        ...(isNewest ? latest : {}),
+        platforms: { ...cacheData.platforms, [platform]: latest }
+    }, config.cache.filename);
+}
+
+export function readQuarantinedInsights() {
+    const data = readCache(config.cache.quarantineFilename);
+    return Array.isArray(data.quarantined) ? data.quarantined : [];
+}
+
+function writeQuarantinedInsights(quarantined) {
+    writeCache({
+        quarantined: quarantined.slice(-config.cache.maxQuarantined),
+        lastUpdated: new Date().toISOString()
+    }, config.cache.quarantineFilename);
+}
+
+export function isInsightQuarantined(insightId) {
+    return readQuarantinedInsights().some(item => item.id === insightId);
+}
+
+export function quarantineInsight(insightId, reason, raw) {
+    const quarantined = readQuarantinedInsights();
+    const existing = quarantined.find(item => item.id === insightId);
+    
+    if (existing) {
+        // Keep the first sighting, but track the latest reason and payload
+        Object.assign(existing, { reason, lastSeenAt: new Date().toISOString(), raw });
+    } else {
+        const now = new Date().toISOString();
+        quarantined.push({ id: insightId, reason, quarantinedAt: now, lastSeenAt: now, raw });
     }
-}
\ No newline at end of file
+    
+    writeQuarantinedInsights(quarantined);
+}
+
+/**
+ * Removes an insight from quarantine once it validates again
+ * @returns {boolean} True if the insight was quarantined
+ */
+export function releaseQuarantinedInsight(insightId) {
+    const quarantined = readQuarantinedInsights();
+    const remaining = quarantined.filter(item => item.id !== insightId);
+    
+    if (remaining.length === quarantined.length) {
+        return false;
+    }
+    writeQuarantinedInsights(remaining);
+    return true;
+}
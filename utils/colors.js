@@ -7,11 +7,19 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const out = new ConsoleLogColors();
 
+// Loaded once per process - colors.json only changes with a deploy
+let colorsCache = null;
+
 export function loadColors() {
+    if (colorsCache) {
+        return colorsCache;
+    }
+    
     try {
         const colorsPath = path.join(__dirname, '..', 'colors.json');
         const colorsData = fs.readFileSync(colorsPath, 'utf8');
-        return JSON.parse(colorsData);
+        colorsCache = JSON.parse(colorsData);
+        return colorsCache;
     } catch (error) {
         out.error(`Error loading colors.json: ${error.message}`);
         return {};
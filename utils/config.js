@@ -9,16 +9,72 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 const isTestMode = process.env.TEST_MODE === 'true';
-const platformMode = process.env.PLATFORM_MODE || 'telegram';
+// MATRIX_ROOMS format: "!roomA:example.org,#alias:example.org=single" (style defaults to MATRIX_MESSAGE_STYLE)
+function parseMatrixRooms(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry)
+        .map(entry => {
+            const [room, style] = entry.split('=');
+            return { room: room.trim(), style: style?.trim() || null };
+        });
+}
+
+// TELEGRAM_BUTTON_LAYOUT format: "read+token/share" - "+" joins buttons in a row, "/" starts a new row,
+// "link" (or empty) keeps the inline "Read more" link instead of a keyboard
+export function parseButtonLayout(value) {
+    const layout = (value || '').trim().toLowerCase();
+    if (!layout || layout === 'link') {
+        return null;
+    }
+    return layout
+        .split('/')
+        .map(row => row.split('+').map(button => button.trim()).filter(button => button))
+        .filter(row => row.length);
+}
+
+// TELEGRAM_CHAT_BUTTON_LAYOUTS format: "-1001234567890=read/share,-1009876543210=link"
+function parseChatButtonLayouts(value) {
+    return Object.fromEntries((value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.includes('='))
+        .map(entry => {
+            const [chatId, layout] = entry.split('=');
+            return [chatId.trim(), parseButtonLayout(layout)];
+        }));
+}
+
+// TAG_MAPPING format: "$WETH=$ETH,#CosmosHub=#Cosmos #ATOM" - a derived tag is replaced by the
+// space-separated tags after "=", or dropped when nothing follows it. Keys are case-insensitive
+function parseTagMapping(value) {
+    return Object.fromEntries((value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.includes('='))
+        .map(entry => {
+            const [tag, replacement] = entry.split('=');
+            return [tag.trim().toLowerCase(), replacement.split(/\s+/).filter(item => item)];
+        }));
+}
+
+const platformModes = [...new Set((process.env.PLATFORM_MODE || 'telegram')
+    .split(',')
+    .map(mode => mode.trim().toLowerCase())
+    .filter(mode => mode))];
 
 export const config = {
     platform: {
-        mode: platformMode // 'telegram' or 'twitter'
+        modes: platformModes // e.g. ['telegram'] or ['telegram', 'twitter']
     },
     
     polaris: {
         apiUrl: process.env.POLARIS_API_URL || 'https://api.polaris.app',
-        insightsUrl: process.env.POLARIS_INSIGHTS_URL || 'https://beta.polaris.app/insights/'
+        insightsUrl: process.env.POLARIS_INSIGHTS_URL || 'https://beta.polaris.app/insights/',
+        timeoutMs: parseInt(process.env.POLARIS_TIMEOUT_MS) || 10000,
+        maxRetries: parseInt(process.env.POLARIS_MAX_RETRIES) || 3,
+        userAgent: process.env.POLARIS_USER_AGENT || 'polaris-insights-bot'
     },
     
     telegram: {
@@ -26,7 +82,21 @@ export const config = {
         chatId: process.env.TELEGRAM_CHAT_ID,
         testChatId: process.env.TELEGRAM_TEST_CHAT_ID,
         testMode: isTestMode,
-        disableWebPagePreview: process.env.TELEGRAM_DISABLE_WEB_PAGE_PREVIEW === 'true'
+        disableWebPagePreview: process.env.TELEGRAM_DISABLE_WEB_PAGE_PREVIEW === 'true',
+        parseMode: { html: 'HTML', markdownv2: 'MarkdownV2' }[(process.env.TELEGRAM_PARSE_MODE || 'html').toLowerCase()] || process.env.TELEGRAM_PARSE_MODE,
+        buttonLayout: parseButtonLayout(process.env.TELEGRAM_BUTTON_LAYOUT),
+        chatButtonLayouts: parseChatButtonLayouts(process.env.TELEGRAM_CHAT_BUTTON_LAYOUTS),
+        tokenUrlTemplate: process.env.TELEGRAM_TOKEN_URL_TEMPLATE || null,
+        albums: process.env.TELEGRAM_ALBUMS === 'true', // Card plus full-resolution source graphics as a sendMediaGroup album of documents
+        tags: process.env.TELEGRAM_TAGS === 'true', // Cashtags and hashtags for the insight subject (see utils/tags.js)
+        destinationsFile: process.env.TELEGRAM_DESTINATIONS_FILE ? path.resolve(__dirname, '..', process.env.TELEGRAM_DESTINATIONS_FILE) : null,
+        commands: {
+            // Answers /latest, /insight, /token and /status via getUpdates long polling (daemon mode only)
+            enabled: process.env.TELEGRAM_COMMANDS === 'true',
+            adminIds: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(id => id),
+            pollTimeoutSeconds: parseInt(process.env.TELEGRAM_POLL_TIMEOUT_SECONDS) || 30,
+            maxResults: parseInt(process.env.TELEGRAM_COMMANDS_MAX_RESULTS) || 5
+        }
     },
     
     twitter: {
@@ -36,7 +106,7 @@ export const config = {
         accessToken: process.env.TWITTER_ACCESS_TOKEN,
         accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
         
-        // Test accounts (fallback support)
+        // Test accounts (fallback support) - TWITTER_ACCOUNTS_FILE replaces these and allows any number of accounts
         testAccounts: [
             {
                 name: 'primary-test',
@@ -63,18 +133,115 @@ export const config = {
         
         testMode: isTestMode,
         postImages: process.env.TWITTER_POST_IMAGES === 'true',
-        enableFallback: process.env.TWITTER_ENABLE_FALLBACK === 'true'
+        enableFallback: process.env.TWITTER_ENABLE_FALLBACK === 'true',
+        // Account pool and rotation (see utils/twitter-accounts.js)
+        accountsFile: process.env.TWITTER_ACCOUNTS_FILE ? path.resolve(__dirname, '..', process.env.TWITTER_ACCOUNTS_FILE) : null,
+        rotationStrategy: (process.env.TWITTER_ROTATION_STRATEGY || 'primary-fallback').toLowerCase(),
+        // Thread mode - the summary is posted as replies under the headline tweet
+        threads: process.env.TWITTER_THREADS === 'true',
+        threadMaxReplies: parseInt(process.env.TWITTER_THREAD_MAX_REPLIES) || 3,
+        tags: process.env.TWITTER_TAGS === 'true' // Cashtags and hashtags for the insight subject (see utils/tags.js)
+    },
+    
+    discord: {
+        webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+        testWebhookUrl: process.env.DISCORD_TEST_WEBHOOK_URL,
+        username: process.env.DISCORD_USERNAME,
+        avatarUrl: process.env.DISCORD_AVATAR_URL,
+        testMode: isTestMode,
+        // Longer retry_after values are cached as a rate limit instead of waited out
+        maxRetryAfterSeconds: parseInt(process.env.DISCORD_MAX_RETRY_AFTER_SECONDS) || 10
+    },
+    
+    mastodon: {
+        instanceUrl: process.env.MASTODON_INSTANCE_URL,
+        accessToken: process.env.MASTODON_ACCESS_TOKEN,
+        testInstanceUrl: process.env.MASTODON_TEST_INSTANCE_URL,
+        testAccessToken: process.env.MASTODON_TEST_ACCESS_TOKEN,
+        visibility: process.env.MASTODON_VISIBILITY || 'public',
+        testMode: isTestMode
+    },
+    
+    bluesky: {
+        service: (process.env.BLUESKY_SERVICE || 'https://bsky.social').replace(/\/+$/, ''),
+        identifier: process.env.BLUESKY_IDENTIFIER,
+        appPassword: process.env.BLUESKY_APP_PASSWORD,
+        testIdentifier: process.env.BLUESKY_TEST_IDENTIFIER,
+        testAppPassword: process.env.BLUESKY_TEST_APP_PASSWORD,
+        testMode: isTestMode
+    },
+    
+    slack: {
+        webhookUrl: process.env.SLACK_WEBHOOK_URL,
+        testWebhookUrl: process.env.SLACK_TEST_WEBHOOK_URL,
+        botToken: process.env.SLACK_BOT_TOKEN,
+        channel: process.env.SLACK_CHANNEL,
+        testChannel: process.env.SLACK_TEST_CHANNEL,
+        testMode: isTestMode
+    },
+    
+    webhook: {
+        url: process.env.WEBHOOK_URL,
+        testUrl: process.env.WEBHOOK_TEST_URL,
+        secret: process.env.WEBHOOK_SECRET,
+        imageMode: process.env.WEBHOOK_IMAGE_MODE || 'base64', // 'base64' or 'url'
+        maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 3,
+        testMode: isTestMode
+    },
+    
+    matrix: {
+        homeserverUrl: (process.env.MATRIX_HOMESERVER_URL || '').replace(/\/+$/, ''),
+        accessToken: process.env.MATRIX_ACCESS_TOKEN,
+        rooms: parseMatrixRooms(process.env.MATRIX_ROOMS),
+        testRooms: parseMatrixRooms(process.env.MATRIX_TEST_ROOMS),
+        messageStyle: process.env.MATRIX_MESSAGE_STYLE || 'separate', // 'separate' (m.image + m.text) or 'single' (HTML)
+        testMode: isTestMode
+    },
+    
+    daemon: {
+        intervalMinutes: parseFloat(process.env.DAEMON_INTERVAL_MINUTES) || 15,
+        jitterSeconds: Number.isNaN(parseInt(process.env.DAEMON_JITTER_SECONDS)) ? 30 : parseInt(process.env.DAEMON_JITTER_SECONDS) // 0 disables jitter
     },
     
     cache: {
         filename: path.join(__dirname, '..', isTestMode ? 'test_latest_insight.cache.json' : 'latest_insight.cache.json'),
         processedIdsFilename: path.join(__dirname, '..', isTestMode ? 'test_processed_insights.cache.json' : 'processed_insights.cache.json'),
-        maxProcessedIds: parseInt(process.env.MAX_PROCESSED_IDS) || 200
+        polarisHttpFilename: path.join(__dirname, '..', isTestMode ? 'test_polaris_http.cache.json' : 'polaris_http.cache.json'),
+        quarantineFilename: path.join(__dirname, '..', isTestMode ? 'test_quarantined_insights.cache.json' : 'quarantined_insights.cache.json'),
+        telegramUpdatesFilename: path.join(__dirname, '..', isTestMode ? 'test_telegram_updates.cache.json' : 'telegram_updates.cache.json'),
+        telegramSubscribersFilename: path.join(__dirname, '..', isTestMode ? 'test_telegram_subscribers.cache.json' : 'telegram_subscribers.cache.json'),
+        twitterAccountsFilename: path.join(__dirname, '..', isTestMode ? 'test_twitter_accounts.cache.json' : 'twitter_accounts.cache.json'),
+        blueskySessionFilename: path.join(__dirname, '..', isTestMode ? 'test_bluesky_session.cache.json' : 'bluesky_session.cache.json'),
+        maxProcessedIds: parseInt(process.env.MAX_PROCESSED_IDS) || 200,
+        maxQuarantined: 50
+    },
+    
+    recheck: {
+        // Recently posted insights are re-fetched to edit or delete posts when they change or are retracted
+        windowHours: parseInt(process.env.RECHECK_WINDOW_HOURS) || 0, // 0 (default) disables re-checking
+        maxInsights: parseInt(process.env.RECHECK_MAX_INSIGHTS) || 20
+    },
+    
+    rules: {
+        // Optional JSON file with include/exclude and routing rules (see utils/rules.js)
+        file: process.env.RULES_FILE ? path.resolve(__dirname, '..', process.env.RULES_FILE) : null
+    },
+    
+    tags: {
+        // Shared by every platform that appends tags
+        mapping: parseTagMapping(process.env.TAG_MAPPING),
+        blocklist: (process.env.TAG_BLOCKLIST || '').split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag),
+        maxTags: parseInt(process.env.MAX_TAGS) || 3
     },
     
     insights: {
-        limit: parseInt(process.env.INSIGHTS_LIMIT) || 7,
+        limit: parseInt(process.env.INSIGHTS_LIMIT) || 7, // Page size when fetching insights
+        maxLookback: parseInt(process.env.INSIGHTS_MAX_LOOKBACK) || 100, // Safety cap when paging back to the last seen insight
         minimumAgeMinutes: parseInt(process.env.MINIMUM_AGE_MINUTES) || 10,
+        maximumAgeMinutes: parseInt(process.env.MAXIMUM_AGE_MINUTES) || 0, // 0 (default) disables the cutoff
+        missingPublishedAtPolicy: (process.env.MISSING_PUBLISHED_AT_POLICY || 'skip').toLowerCase(), // skip | post
+        catchUpPolicy: (process.env.CATCH_UP_POLICY || 'all').toLowerCase(), // all | newest | skip
+        catchUpMaxInsights: parseInt(process.env.CATCH_UP_MAX_INSIGHTS) || 5,
         defaultBackgroundColor: process.env.DEFAULT_BACKGROUND_COLOR || 'gray-800',
         baseUrl: process.env.POLARIS_INSIGHTS_URL || 'https://beta.polaris.app/insights/',
         polarisLogoPath: path.join(__dirname, '..', 'assets', 'circle.png'),
@@ -99,65 +266,107 @@ export function getChatId() {
     }
 }
 
-export function getTwitterCredentials(accountIndex = 0) {
-    if (config.twitter.testMode) {
-        // In test mode, use test accounts with fallback support
-        const testAccounts = config.twitter.testAccounts;
-        
-        if (testAccounts.length === 0) {
-            // Fallback to legacy test credentials if no test accounts configured
-            return {
-                apiKey: config.twitter.apiKey,
-                apiSecret: config.twitter.apiSecret,
-                accessToken: config.twitter.accessToken,
-                accessTokenSecret: config.twitter.accessTokenSecret,
-                accountName: 'legacy-test'
-            };
+/**
+ * @param {string|number} chatId - Telegram chat ID
+ * @returns {string[][]|null} Inline keyboard rows of button names, or null for an inline "Read more" link
+ */
+export function getButtonLayout(chatId) {
+    const layouts = config.telegram.chatButtonLayouts;
+    return Object.hasOwn(layouts, String(chatId)) ? layouts[String(chatId)] : config.telegram.buttonLayout;
+}
+
+export function getDiscordWebhookUrl() {
+    if (config.discord.testMode) {
+        if (!config.discord.testWebhookUrl) {
+            throw new Error('TEST_MODE is enabled but DISCORD_TEST_WEBHOOK_URL is not configured');
         }
-        
-        // Use specified account index, or first available account
-        const accountToUse = testAccounts[Math.min(accountIndex, testAccounts.length - 1)];
-        return {
-            apiKey: accountToUse.apiKey,
-            apiSecret: accountToUse.apiSecret,
-            accessToken: accountToUse.accessToken,
-            accessTokenSecret: accountToUse.accessTokenSecret,
-            accountName: accountToUse.name
-        };
+        return config.discord.testWebhookUrl;
     } else {
-        // Production mode - always use primary account
-        return {
-            apiKey: config.twitter.apiKey,
-            apiSecret: config.twitter.apiSecret,
-            accessToken: config.twitter.accessToken,
-            accessTokenSecret: config.twitter.accessTokenSecret,
-            accountName: 'production'
-        };
+        if (!config.discord.webhookUrl) {
+            throw new Error('DISCORD_WEBHOOK_URL is not configured');
+        }
+        return config.discord.webhookUrl;
+    }
+}
+
+export function getMastodonCredentials() {
+    const instanceUrl = config.mastodon.testMode
+        ? config.mastodon.testInstanceUrl || config.mastodon.instanceUrl
+        : config.mastodon.instanceUrl;
+    const accessToken = config.mastodon.testMode ? config.mastodon.testAccessToken : config.mastodon.accessToken;
+    
+    if (!instanceUrl) {
+        throw new Error('MASTODON_INSTANCE_URL is not configured');
+    }
+    if (!accessToken) {
+        throw new Error(`${config.mastodon.testMode ? 'TEST_MODE is enabled but MASTODON_TEST_ACCESS_TOKEN' : 'MASTODON_ACCESS_TOKEN'} is not configured`);
+    }
+    
+    return { instanceUrl: instanceUrl.replace(/\/+$/, ''), accessToken };
+}
+
+export function getBlueskyCredentials() {
+    const identifier = config.bluesky.testMode ? config.bluesky.testIdentifier : config.bluesky.identifier;
+    const appPassword = config.bluesky.testMode ? config.bluesky.testAppPassword : config.bluesky.appPassword;
+    
+    if (!identifier || !appPassword) {
+        const prefix = config.bluesky.testMode ? 'BLUESKY_TEST' : 'BLUESKY';
+        throw new Error(`${prefix}_IDENTIFIER and ${prefix}_APP_PASSWORD must be configured`);
+    }
+    
+    return { identifier, appPassword };
+}
+
+export function getSlackTarget() {
+    if (config.slack.botToken) {
+        const channel = config.slack.testMode ? config.slack.testChannel : config.slack.channel;
+        if (!channel) {
+            throw new Error(`${config.slack.testMode ? 'TEST_MODE is enabled but SLACK_TEST_CHANNEL' : 'SLACK_CHANNEL'} is not configured`);
+        }
+        return { botToken: config.slack.botToken, channel };
+    }
+    
+    const webhookUrl = config.slack.testMode ? config.slack.testWebhookUrl : config.slack.webhookUrl;
+    if (!webhookUrl) {
+        throw new Error(`Configure SLACK_BOT_TOKEN or ${config.slack.testMode ? 'SLACK_TEST_WEBHOOK_URL' : 'SLACK_WEBHOOK_URL'} for Slack`);
     }
+    return { webhookUrl };
 }
 
-export function getAvailableTwitterAccounts() {
-    if (config.twitter.testMode) {
-        return config.twitter.testAccounts;
+export function getWebhookUrl() {
+    if (config.webhook.testMode) {
+        if (!config.webhook.testUrl) {
+            throw new Error('TEST_MODE is enabled but WEBHOOK_TEST_URL is not configured');
+        }
+        return config.webhook.testUrl;
     } else {
-        return [{
-            name: 'production',
-            apiKey: config.twitter.apiKey,
-            apiSecret: config.twitter.apiSecret,
-            accessToken: config.twitter.accessToken,
-            accessTokenSecret: config.twitter.accessTokenSecret
-        }];
+        if (!config.webhook.url) {
+            throw new Error('WEBHOOK_URL is not configured');
+        }
+        return config.webhook.url;
     }
 }
 
-export function addTestModePrefix(message) {
-    if (config.platform.mode === 'telegram') {
-        return config.telegram.testMode ? `🧪 [TEST] ${message}` : message;
-    } else if (config.platform.mode === 'twitter') {
-        // Don't prefix test mode for Twitter posts
-        return message;
+export function getMatrixRooms() {
+    if (!config.matrix.homeserverUrl || !config.matrix.accessToken) {
+        throw new Error('MATRIX_HOMESERVER_URL and MATRIX_ACCESS_TOKEN must be configured');
     }
-    return message;
+    
+    const rooms = config.matrix.testMode ? config.matrix.testRooms : config.matrix.rooms;
+    if (rooms.length === 0) {
+        throw new Error(`${config.matrix.testMode ? 'TEST_MODE is enabled but MATRIX_TEST_ROOMS' : 'MATRIX_ROOMS'} is not configured`);
+    }
+    
+    return rooms.map(({ room, style }) => ({ room, style: style || config.matrix.messageStyle }));
+}
+
+export function isPlatformEnabled(platform) {
+    return config.platform.modes.includes(platform);
+}
+
+export function addTestModePrefix(message) {
+    // Only Telegram messages are prefixed - Twitter posts skip it to save characters
+    return config.telegram.testMode ? `🧪 [TEST] ${message}` : message;
 }
 
 export function isValidUrl(string) {
@@ -0,0 +1,115 @@
+/**
+ * Daemon scheduler
+ * Runs the insight cycle on an interval inside one long-lived process and shuts down gracefully,
+ * letting an in-flight post finish before exiting
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config } from './config.js';
+
+const out = new ConsoleLogColors();
+
+let shuttingDown = false;
+let wakeUp = null;
+const shutdownListeners = [];
+
+/**
+ * @returns {boolean} True once SIGTERM/SIGINT was received
+ */
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+/**
+ * Registers a callback for SIGTERM/SIGINT, e.g. to abort a long poll instead of waiting for it
+ * @param {Function} listener - Called once when a shutdown is requested
+ */
+export function onShutdown(listener) {
+    shutdownListeners.push(listener);
+}
+
+/**
+ * Sleeps for the given time, returning early when a shutdown is requested
+ * @param {number} ms - Milliseconds to sleep
+ */
+function interruptibleSleep(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            wakeUp = null;
+            resolve();
+        }
+        wakeUp = done;
+    });
+}
+
+function handleSignal(signal) {
+    if (shuttingDown) {
+        out.warn(`${signal} received again - exiting immediately`);
+        process.exit(1);
+    }
+
+    shuttingDown = true;
+    out.warn(`${signal} received - finishing the current post before shutting down (send again to force)`);
+    wakeUp?.();
+    shutdownListeners.forEach(listener => listener());
+}
+
+/**
+ * Calculates the delay until the next cycle
+ * @param {number|null} resumeAt - Unix timestamp to wait for when every platform is rate limited
+ * @returns {number} Delay in milliseconds
+ */
+export function getNextDelayMs(resumeAt = null) {
+    const intervalMs = config.daemon.intervalMinutes * 60 * 1000;
+    const jitterMs = Math.floor(Math.random() * config.daemon.jitterSeconds * 1000);
+
+    if (resumeAt) {
+        // Sleep until the cached rate limit resets instead of polling into it
+        const untilResetMs = resumeAt * 1000 - Date.now();
+        if (untilResetMs > intervalMs) {
+            return untilResetMs + jitterMs;
+        }
+    }
+
+    return intervalMs + jitterMs;
+}
+
+/**
+ * Runs a cycle repeatedly until SIGTERM/SIGINT
+ * @param {Function} runCycle - Async function resolving to { resumeAt } (Unix timestamp or null)
+ */
+export async function startDaemon(runCycle) {
+    process.on('SIGTERM', handleSignal);
+    process.on('SIGINT', handleSignal);
+
+    out.info(`🔁 Daemon mode - polling every ${config.daemon.intervalMinutes} minutes (+ up to ${config.daemon.jitterSeconds}s jitter)`);
+
+    while (!shuttingDown) {
+        let resumeAt = null;
+
+        try {
+            ({ resumeAt = null } = await runCycle() || {});
+        } catch (error) {
+            // A failed cycle (e.g. Polaris API down) shouldn't stop the daemon
+            out.error(`Cycle failed: ${error.message}`);
+        }
+
+        if (shuttingDown) {
+            break;
+        }
+
+        const delayMs = getNextDelayMs(resumeAt);
+        const nextRun = new Date(Date.now() + delayMs);
+        if (resumeAt && delayMs > config.daemon.intervalMinutes * 60 * 1000) {
+            out.warn(`⏸️ All platforms rate limited - sleeping until ${nextRun.toLocaleString()}`);
+        } else {
+            out.info(`💤 Next cycle at ${nextRun.toLocaleString()}`);
+        }
+
+        await interruptibleSleep(delayMs);
+    }
+
+    out.success('Daemon stopped');
+}
@@ -0,0 +1,176 @@
+/**
+ * Discord webhook utility module for posting insights as rich embeds
+ */
+
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getDiscordWebhookUrl } from './config.js';
+import { getRgbColor } from './colors.js';
+import { getAltText } from './alt-text.js';
+import { cacheRateLimitError, checkPlatformRateLimit } from './rate-limit-cache.js';
+
+const out = new ConsoleLogColors();
+const IMAGE_FILENAME = 'insight-image.jpg';
+const MAX_ATTEMPTS = 3;
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_TITLE_LENGTH = 256;
+
+/**
+ * Resolves the embed color from the insight's background color
+ * @param {Object} insight - The insight object
+ * @returns {number} Color as a 24-bit integer
+ */
+export function getEmbedColor(insight) {
+    const colorName = insight.backgroundType === 'color' && insight.backgroundValue
+        ? insight.backgroundValue
+        : config.insights.defaultBackgroundColor;
+
+    try {
+        const { r, g, b } = getRgbColor(colorName, config.insights.defaultBackgroundColor);
+        return (r << 16) + (g << 8) + b;
+    } catch (error) {
+        out.warn(`Could not resolve embed color: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Builds the webhook message body for an insight
+ * @param {Object} insight - The insight object
+ * @param {string|null} imageUrl - Remote image URL, if the card isn't uploaded as a file
+ * @param {boolean} hasAttachment - Whether the card is attached as a file
+ * @returns {Object} Discord webhook payload
+ */
+export function buildDiscordMessage(insight, imageUrl, hasAttachment) {
+    const embed = {
+        // Cut by code point so an emoji or surrogate pair is never split
+        title: Array.from(insight.headline).slice(0, MAX_TITLE_LENGTH).join(''),
+        url: insight.url,
+        color: getEmbedColor(insight)
+    };
+
+    if (insight.publishedAt) {
+        embed.timestamp = new Date(insight.publishedAt).toISOString();
+    }
+
+    if (hasAttachment) {
+        embed.image = { url: `attachment://${IMAGE_FILENAME}` };
+    } else if (imageUrl) {
+        embed.image = { url: imageUrl };
+    }
+
+    const message = { embeds: [embed] };
+    if (config.discord.username) {
+        message.username = config.discord.username;
+    }
+    if (config.discord.avatarUrl) {
+        message.avatar_url = config.discord.avatarUrl;
+    }
+    if (hasAttachment) {
+        message.attachments = [{ id: 0, filename: IMAGE_FILENAME, description: getAltText(insight, { maxLength: MAX_DESCRIPTION_LENGTH }) }];
+    }
+
+    return message;
+}
+
+/**
+ * Executes the webhook once
+ * The form is rebuilt on every call because a multipart stream can't be resent
+ */
+async function executeWebhook(message, imageBuffer) {
+    const url = `${getDiscordWebhookUrl()}?wait=true`;
+
+    if (imageBuffer) {
+        const form = new FormData();
+        form.append('payload_json', JSON.stringify(message));
+        form.append('files[0]', imageBuffer, { filename: IMAGE_FILENAME, contentType: 'image/jpeg' });
+        return await fetch(url, { method: 'POST', body: form });
+    }
+
+    return await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+    });
+}
+
+/**
+ * Posts a message to the Discord webhook, waiting out short 429s
+ * Longer rate limits are cached and thrown as errors with code 429
+ * @param {Object} message - Discord webhook payload
+ * @param {Buffer|null} imageBuffer - Card image to attach
+ * @returns {Promise<Object>} Discord message object
+ */
+export async function postDiscordMessage(message, imageBuffer = null) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const response = await executeWebhook(message, imageBuffer);
+
+        if (response.status === 429) {
+            const body = await response.json().catch(() => ({}));
+            const retryAfter = Number(body.retry_after ?? response.headers.get('retry-after')) || 1;
+
+            if (retryAfter <= config.discord.maxRetryAfterSeconds && attempt < MAX_ATTEMPTS) {
+                out.warn(`⏳ Discord rate limited (attempt ${attempt}/${MAX_ATTEMPTS}) - retrying in ${retryAfter}s`);
+                await new Promise(resolve => setTimeout(resolve, Math.ceil(retryAfter * 1000)));
+                continue;
+            }
+
+            const error = new Error(`Discord rate limit exceeded (429), retry after ${retryAfter}s${body.global ? ' (global)' : ''}`);
+            error.code = 429;
+            error.rateLimit = {
+                remaining: 0,
+                limit: Number(response.headers.get('x-ratelimit-limit')) || null,
+                reset: Math.ceil(Date.now() / 1000 + retryAfter)
+            };
+            cacheRateLimitError(error, 'discord');
+            throw error;
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Discord API error! status: ${response.status}, response: ${errorText}`);
+        }
+
+        return await response.json();
+    }
+}
+
+export const discordPublisher = {
+    name: 'discord',
+
+    validateConfig() {
+        getDiscordWebhookUrl(); // This will throw if misconfigured
+        out.info(`Discord webhook configured (${config.discord.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        return checkPlatformRateLimit('discord');
+    },
+
+    async render(insight, { getImage }) {
+        const imageData = await getImage();
+        const imageBuffer = Buffer.isBuffer(imageData) ? imageData : null;
+        const imageUrl = typeof imageData === 'string' ? imageData : null;
+
+        return {
+            message: buildDiscordMessage(insight, imageUrl, Boolean(imageBuffer)),
+            imageBuffer
+        };
+    },
+
+    async send(insight, { message, imageBuffer }) {
+        out.info(`Sending Discord embed${imageBuffer ? ' with image' : ''} for insight ${insight.id}`);
+        const data = await postDiscordMessage(message, imageBuffer);
+
+        return {
+            id: data.id,
+            url: null, // Webhook responses don't include the guild needed for a message link
+            raw: data,
+            meta: {
+                messageId: data.id,
+                channelId: data.channel_id
+            }
+        };
+    }
+};
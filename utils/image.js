@@ -16,43 +16,6 @@ try {
     out.warn(`Canvas not available: ${error.message}`);
 }
 
-export function extractTokenImageUrls(insight) {
-    const tokenImageUrls = [];
-    
-    try {
-        // Current API format - subjectValue.logoImgURL
-        if (insight.subjectValue?.logoImgURL) {
-            out.info(`Found token logo in subjectValue: ${insight.subjectValue.logoImgURL}`);
-            tokenImageUrls.push(insight.subjectValue.logoImgURL);
-        }
-        
-        // Legacy format - insight.tokens array
-        if (insight.tokens && Array.isArray(insight.tokens)) {
-            const legacyUrls = insight.tokens
-                .map(token => {
-                    try {
-                        return token.imageUrl || token.logo_URIs?.png || token.logo_URIs?.svg;
-                    } catch (error) {
-                        return null;
-                    }
-                })
-                .filter(url => url);
-            
-            tokenImageUrls.push(...legacyUrls);
-        }
-        
-        const uniqueUrls = [...new Set(tokenImageUrls)];
-        if (uniqueUrls.length > 0) {
-            out.info(`Extracted ${uniqueUrls.length} token image URL(s)`);
-        }
-        
-        return uniqueUrls;
-    } catch (error) {
-        out.error(`Error extracting token URLs: ${error.message}`);
-        return [];
-    }
-}
-
 async function overlayImage(ctx, imagePathOrUrl, x, y, size, isCircular = false) {
     let image;
     
@@ -190,10 +153,100 @@ export async function createImageBackgroundWithOverlays({ backgroundImageUrl, po
     return canvas.toBuffer('image/jpeg', { quality: 0.9 });
 }
 
+export function getSourceImageUrl(insight) {
+    // The raw graphic behind the card, for platforms that can only link to remote images
+    const { backgroundType, backgroundValue, visualizationValue } = insight;
+    if (visualizationValue && isValidUrl(visualizationValue)) {
+        return visualizationValue;
+    }
+    if (backgroundType === 'image' && backgroundValue && isValidUrl(backgroundValue)) {
+        return backgroundValue;
+    }
+    return null;
+}
+
+export async function toImageBuffer(imageData) {
+    if (Buffer.isBuffer(imageData)) {
+        return imageData;
+    }
+    if (typeof imageData !== 'string') {
+        return null;
+    }
+    
+    // Remote images have to be downloaded for platforms that only accept uploads
+    try {
+        const response = await fetch(imageData);
+        if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`);
+        return await response.buffer();
+    } catch (error) {
+        out.warn(`Could not download image ${imageData}: ${error.message}`);
+        return null;
+    }
+}
+
+// JPEG start-of-frame markers carry the dimensions; C4, C8 and CC are other segments in the same range
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+function getJpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        if (JPEG_SOF_MARKERS.has(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return {};
+}
+
+function getWebpSize(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    return {};
+}
+
+/**
+ * Reads an image's type and size from its header, without decoding it
+ * Cards are JPEGs, but a remote image passed through toImageBuffer can be anything
+ * @param {Buffer} buffer - Image data
+ * @returns {Object|null} { mimetype, width, height } - width and height are undefined when the
+ *   header can't be read - or null when the format isn't JPEG, PNG, GIF or WebP
+ */
+export function getImageInfo(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        return { mimetype: 'image/jpeg', ...getJpegSize(buffer) };
+    }
+    if (buffer.toString('ascii', 1, 4) === 'PNG' && buffer.length >= 24) {
+        return { mimetype: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { mimetype: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return { mimetype: 'image/webp', ...getWebpSize(buffer) };
+    }
+    return null;
+}
+
 export async function getImageForInsight(insight) {
     try {
         const { backgroundType, backgroundValue, visualizationType, visualizationValue } = insight;
-        const tokenImageUrls = extractTokenImageUrls(insight);
+        const tokenImageUrls = insight.tokenLogoUrls;
+        if (tokenImageUrls.length > 0) {
+            out.info(`Using ${tokenImageUrls.length} token image URL(s)`);
+        }
         
         if (backgroundType === 'image') {
             let backgroundImageUrl;
@@ -0,0 +1,278 @@
+/**
+ * Insight normalization
+ * Maps raw Polaris API insights (current and legacy shapes) into the internal model every
+ * publisher reads, so API shape changes are handled here instead of in each platform module
+ *
+ * Internal model:
+ * {
+ *   id: string,
+ *   headline: string,
+ *   summary: string|null,
+ *   altText: string|null,            // Author-provided image description
+ *   publishedAt: string|null,        // ISO 8601
+ *   url: string,                     // Public insight page
+ *   subject: { type, symbol, name, chain, logoUrl, url }|null,
+ *   tokens: { symbol, name, chain }[],  // Subject first, then any other legacy tokens
+ *   tokenLogoUrls: string[],
+ *   backgroundType: 'image'|'color'|null,
+ *   backgroundValue: string|null,
+ *   visualizationType: string|null,
+ *   visualizationValue: string|null,
+ *   raw: Object                      // Original API object
+ * }
+ */
+
+import crypto from 'crypto';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, isValidUrl } from './config.js';
+import { isInsightQuarantined, quarantineInsight, releaseQuarantinedInsight } from './cache.js';
+
+const out = new ConsoleLogColors();
+
+// Types that render as text only - anything else unknown means the API changed
+const TEXT_ONLY_BACKGROUND_TYPES = [undefined, null, '', 'none'];
+
+/**
+ * Thrown for insights that can't be posted as intended
+ */
+export class InsightValidationError extends Error {
+    constructor(reason, insightId = null) {
+        super(reason);
+        this.name = 'InsightValidationError';
+        this.insightId = insightId;
+    }
+}
+
+function cleanString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// "2024-05-01 12:00" or "2024-05-01T12:00:00.000" - no Z or offset
+const TIMEZONE_LESS_DATE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+/**
+ * Parses an API date the same way regardless of the server's timezone
+ * Timezone-less strings are read as UTC (not local time) and numbers as Unix seconds or milliseconds
+ * @param {string|number} value - Raw date value
+ * @returns {Date|null} Parsed date, or null when missing or unparseable
+ */
+export function parsePublishedAt(value) {
+    let date;
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        date = new Date(value < 1e12 ? value * 1000 : value);
+    } else if (typeof value === 'string' && value.trim()) {
+        const trimmed = value.trim();
+        date = new Date(TIMEZONE_LESS_DATE.test(trimmed) ? `${trimmed.replace(' ', 'T')}Z` : trimmed);
+    } else {
+        return null;
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function getLegacyTokens(raw) {
+    return Array.isArray(raw.tokens) ? raw.tokens.filter(token => token && typeof token === 'object') : [];
+}
+
+/**
+ * Reads the fields shared by subjectValue and legacy token objects
+ */
+function normalizeTokenFields(source) {
+    return {
+        symbol: cleanString(source.symbol)?.replace(/^\$/, '') || null,
+        name: cleanString(source.name),
+        chain: cleanString(source.chain) || cleanString(source.chainName) || cleanString(source.chain_name)
+    };
+}
+
+/**
+ * Reads the subject token, preferring the current subjectValue object over the legacy tokens array
+ */
+function normalizeSubject(raw) {
+    const subject = raw.subjectValue && typeof raw.subjectValue === 'object' ? raw.subjectValue : null;
+    const source = subject || getLegacyTokens(raw)[0];
+
+    if (!source) {
+        return null;
+    }
+
+    return {
+        type: cleanString(raw.subjectType) || 'token',
+        ...normalizeTokenFields(source),
+        logoUrl: [source.logoImgURL, source.imageUrl, source.logo_URIs?.png, source.logo_URIs?.svg]
+            .find(url => url && isValidUrl(url)) || null,
+        url: [source.url, source.website].find(url => url && isValidUrl(url)) || null
+    };
+}
+
+/**
+ * Lists every token an insight mentions, without duplicates
+ */
+function normalizeTokens(raw, subject) {
+    const tokens = getLegacyTokens(raw).map(normalizeTokenFields);
+    if (subject) {
+        tokens.unshift({ symbol: subject.symbol, name: subject.name, chain: subject.chain });
+    }
+
+    const seen = new Set();
+    return tokens.filter(token => {
+        const key = [token.symbol, token.name, token.chain].join('|').toLowerCase();
+        if ((!token.symbol && !token.name && !token.chain) || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+function normalizeTokenLogoUrls(raw) {
+    const urls = [];
+
+    // Current API format - subjectValue.logoImgURL
+    if (raw.subjectValue?.logoImgURL && isValidUrl(raw.subjectValue.logoImgURL)) {
+        urls.push(raw.subjectValue.logoImgURL);
+    }
+
+    // Legacy format - insight.tokens array
+    if (Array.isArray(raw.tokens)) {
+        for (const token of raw.tokens) {
+            const url = token?.imageUrl || token?.logo_URIs?.png || token?.logo_URIs?.svg;
+            if (url && isValidUrl(url)) {
+                urls.push(url);
+            }
+        }
+    }
+
+    return [...new Set(urls)];
+}
+
+/**
+ * Checks that the card described by the background/visualization fields can be rendered
+ * @returns {string|null} Reason the insight is malformed, or null
+ */
+function getBackgroundProblem({ backgroundType, backgroundValue, visualizationValue }) {
+    const hasVisualizationUrl = Boolean(visualizationValue) && isValidUrl(visualizationValue);
+
+    if (backgroundType === 'image') {
+        if (!hasVisualizationUrl && !(backgroundValue && isValidUrl(backgroundValue))) {
+            return 'backgroundType "image" without a valid image URL';
+        }
+    } else if (backgroundType === 'color') {
+        if (!hasVisualizationUrl) {
+            return 'backgroundType "color" without a valid visualizationValue URL';
+        }
+    } else if (!TEXT_ONLY_BACKGROUND_TYPES.includes(backgroundType)) {
+        return `unsupported backgroundType "${backgroundType}"`;
+    }
+
+    return null;
+}
+
+/**
+ * Maps a raw API insight to the internal model
+ * @param {Object} raw - Insight as returned by the Polaris API
+ * @returns {Object} Normalized insight
+ * @throws {InsightValidationError} When the insight is malformed
+ */
+export function normalizeInsight(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new InsightValidationError(`expected an object, got ${raw === null ? 'null' : Array.isArray(raw) ? 'array' : typeof raw}`);
+    }
+
+    const id = typeof raw.id === 'number' ? String(raw.id) : cleanString(raw.id);
+    if (!id) {
+        throw new InsightValidationError('missing id');
+    }
+
+    const headline = cleanString(raw.headline) || cleanString(raw.title);
+    if (!headline) {
+        throw new InsightValidationError('missing headline and title', id);
+    }
+
+    const subject = normalizeSubject(raw);
+    const insight = {
+        id,
+        headline,
+        summary: cleanString(raw.summary) || cleanString(raw.description),
+        altText: cleanString(raw.altText) || cleanString(raw.imageAltText),
+        publishedAt: parsePublishedAt(raw.publishedAt)?.toISOString() || null,
+        url: `${config.polaris.insightsUrl}${id}`,
+        subject,
+        tokens: normalizeTokens(raw, subject),
+        tokenLogoUrls: normalizeTokenLogoUrls(raw),
+        backgroundType: cleanString(raw.backgroundType),
+        backgroundValue: cleanString(raw.backgroundValue),
+        visualizationType: cleanString(raw.visualizationType),
+        visualizationValue: cleanString(raw.visualizationValue),
+        raw
+    };
+
+    const backgroundProblem = getBackgroundProblem(insight);
+    if (backgroundProblem) {
+        throw new InsightValidationError(backgroundProblem, id);
+    }
+
+    if (TEXT_ONLY_BACKGROUND_TYPES.includes(insight.backgroundType)) {
+        insight.backgroundType = null;
+    }
+
+    return insight;
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Hashes the parts of an insight that end up in a post, to detect edits after publishing
+ * @param {Object} insight - Normalized insight
+ * @returns {Object} { headline, image } hashes
+ */
+export function getInsightFingerprint(insight) {
+    return {
+        headline: hash(insight.headline),
+        image: hash([insight.backgroundType, insight.backgroundValue, insight.visualizationType, insight.visualizationValue, insight.tokenLogoUrls])
+    };
+}
+
+/**
+ * Normalizes a list of raw insights, quarantining malformed ones instead of posting them half-rendered
+ * @param {Object[]} rawInsights - Insights as returned by the Polaris API
+ * @param {Object} options - Options
+ * @param {boolean} options.record - Persist quarantine changes (false for dry runs)
+ * @returns {Object} { insights, quarantined } - normalized insights and [{ id, reason }]
+ */
+export function normalizeInsights(rawInsights, { record = true } = {}) {
+    const insights = [];
+    const quarantined = [];
+
+    for (const raw of rawInsights) {
+        try {
+            const insight = normalizeInsight(raw);
+            if (record && releaseQuarantinedInsight(insight.id)) {
+                out.info(`Insight ${insight.id} is valid again - released from quarantine`);
+            }
+            insights.push(insight);
+        } catch (error) {
+            if (!(error instanceof InsightValidationError)) {
+                throw error;
+            }
+
+            const id = error.insightId || 'unknown';
+            if (error.insightId && isInsightQuarantined(error.insightId)) {
+                out.info(`Insight ${id} still quarantined: ${error.message}`);
+            } else {
+                out.warn(`🚧 Quarantined malformed insight ${id}: ${error.message}`);
+            }
+
+            // Insights without an ID can't be tracked, so they're only logged
+            if (record && error.insightId) {
+                quarantineInsight(error.insightId, error.message, raw);
+            }
+            quarantined.push({ id, reason: error.message });
+        }
+    }
+
+    return { insights, quarantined };
+}
@@ -0,0 +1,238 @@
+/**
+ * Mastodon API utility module for posting insights as statuses with media
+ * Works with any instance implementing the Mastodon client API
+ */
+
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getMastodonCredentials } from './config.js';
+import { cacheRateLimitError, checkPlatformRateLimit } from './rate-limit-cache.js';
+import { getImageInfo, toImageBuffer } from './image.js';
+import { getAltText } from './alt-text.js';
+
+const out = new ConsoleLogColors();
+const DEFAULT_MAX_CHARACTERS = 500;
+const DEFAULT_URL_LENGTH = 23;
+const MEDIA_POLL_ATTEMPTS = 10;
+const MAX_DESCRIPTION_LENGTH = 1500;
+
+// Instance limits only change with server upgrades, so fetch them once per process
+let instanceLimits = null;
+
+/**
+ * Caches the instance rate limit when its headers say the window is exhausted
+ * @param {Object} response - Fetch response
+ * @returns {Object|null} Rate limit info in the shape used by rate-limit-cache.js
+ */
+function trackRateLimitHeaders(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+
+    if (remaining === null || !reset) {
+        return null;
+    }
+
+    const rateLimit = {
+        remaining: parseInt(remaining, 10),
+        limit: parseInt(response.headers.get('x-ratelimit-limit'), 10) || null,
+        reset: Math.ceil(new Date(reset).getTime() / 1000)
+    };
+
+    if (rateLimit.remaining === 0 || response.status === 429) {
+        cacheRateLimitError({ rateLimit: { ...rateLimit, remaining: 0 }, message: `Mastodon rate limit exhausted (${response.status})` }, 'mastodon');
+    }
+
+    return rateLimit;
+}
+
+/**
+ * Calls the Mastodon API and honors its rate limit headers
+ * @param {string} path - API path, e.g. /api/v1/statuses
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} Parsed JSON body with the HTTP status attached
+ */
+async function mastodonRequest(path, options = {}) {
+    const { instanceUrl, accessToken } = getMastodonCredentials();
+    const response = await fetch(`${instanceUrl}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            Authorization: `Bearer ${accessToken}`
+        }
+    });
+
+    const rateLimit = trackRateLimitHeaders(response);
+
+    if (response.status === 429) {
+        const error = new Error(`Mastodon rate limit exceeded (429) on ${path}`);
+        error.code = 429;
+        error.rateLimit = rateLimit;
+        throw error;
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Mastodon API error! status: ${response.status}, response: ${errorText}`);
+        error.code = response.status;
+        throw error;
+    }
+
+    return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Reads the status character limit and URL weight from the instance
+ * @returns {Promise<Object>} { maxCharacters, urlLength }
+ */
+export async function getInstanceLimits() {
+    if (instanceLimits) {
+        return instanceLimits;
+    }
+
+    try {
+        const { data } = await mastodonRequest('/api/v2/instance');
+        const statuses = data.configuration?.statuses || {};
+        instanceLimits = {
+            maxCharacters: statuses.max_characters || DEFAULT_MAX_CHARACTERS,
+            urlLength: statuses.characters_reserved_per_url || DEFAULT_URL_LENGTH
+        };
+    } catch (error) {
+        if (error.code === 429) {
+            throw error;
+        }
+        out.warn(`Could not read Mastodon instance limits, using defaults: ${error.message}`);
+        instanceLimits = { maxCharacters: DEFAULT_MAX_CHARACTERS, urlLength: DEFAULT_URL_LENGTH };
+    }
+
+    out.info(`Mastodon status limit: ${instanceLimits.maxCharacters} characters (URLs count as ${instanceLimits.urlLength})`);
+    return instanceLimits;
+}
+
+/**
+ * Uploads an image and waits until the instance has processed it
+ * @param {Buffer} imageBuffer - Image to upload
+ * @param {string} mimetype - The image's type, from getImageInfo()
+ * @param {string} description - Media description (alt text)
+ * @returns {Promise<string>} Media attachment ID
+ */
+export async function uploadMedia(imageBuffer, mimetype, description) {
+    const form = new FormData();
+    const extension = mimetype.split('/')[1].replace('jpeg', 'jpg');
+    form.append('file', imageBuffer, { filename: `insight-image.${extension}`, contentType: mimetype });
+    form.append('description', description);
+
+    const { status, data } = await mastodonRequest('/api/v2/media', { method: 'POST', body: form });
+    out.info(`Media uploaded to Mastodon, ID: ${data.id}`);
+
+    // 202 means the upload is still being processed and has no URL yet
+    if (status === 202 || !data.url) {
+        for (let attempt = 1; attempt <= MEDIA_POLL_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const { data: media } = await mastodonRequest(`/api/v1/media/${data.id}`);
+            if (media.url) {
+                return media.id;
+            }
+        }
+        throw new Error(`Mastodon media ${data.id} was not processed in time`);
+    }
+
+    return data.id;
+}
+
+/**
+ * Posts a status
+ * @param {Object} status - Status options
+ * @param {string} status.text - Status text
+ * @param {string[]} status.mediaIds - Uploaded media attachment IDs
+ * @param {string} status.idempotencyKey - Key that stops the instance from posting a duplicate on retry
+ * @returns {Promise<Object>} Mastodon status object
+ */
+export async function postStatus({ text, mediaIds = [], idempotencyKey }) {
+    const { data } = await mastodonRequest('/api/v1/statuses', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+        },
+        body: JSON.stringify({
+            status: text,
+            media_ids: mediaIds,
+            visibility: config.mastodon.visibility
+        })
+    });
+    return data;
+}
+
+/**
+ * Formats insight text for Mastodon within the instance character limit
+ * @param {Object} insight - The insight object
+ * @param {string} insightUrl - The URL to the insight
+ * @param {Object} limits - Instance limits from getInstanceLimits()
+ * @returns {string} Formatted status text
+ */
+export function formatInsightForMastodon(insight, insightUrl, { maxCharacters, urlLength }) {
+    const separator = '\n\n';
+    const availableLength = maxCharacters - urlLength - separator.length;
+
+    // Mastodon counts code points, so split on them rather than UTF-16 units
+    let characters = Array.from(insight.headline);
+    if (characters.length > availableLength) {
+        characters = [...characters.slice(0, availableLength - 1), '…'];
+    }
+
+    return `${characters.join('')}${separator}${insightUrl}`;
+}
+
+export const mastodonPublisher = {
+    name: 'mastodon',
+
+    validateConfig() {
+        const { instanceUrl } = getMastodonCredentials(); // This will throw if misconfigured
+        out.info(`Mastodon configured - Instance: ${instanceUrl}, visibility: ${config.mastodon.visibility} (${config.mastodon.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        return checkPlatformRateLimit('mastodon');
+    },
+
+    async render(insight, { getImage }) {
+        const limits = await getInstanceLimits();
+        const imageData = await getImage();
+        let imageBuffer = await toImageBuffer(imageData);
+        const imageInfo = getImageInfo(imageBuffer);
+
+        if (imageBuffer && !imageInfo) {
+            out.warn(`Image for insight ${insight.id} isn't a JPEG, PNG, GIF or WebP - posting without image`);
+            imageBuffer = null;
+        }
+
+        return {
+            text: formatInsightForMastodon(insight, insight.url, limits),
+            imageBuffer,
+            imageInfo,
+            description: getAltText(insight, { maxLength: MAX_DESCRIPTION_LENGTH, card: Buffer.isBuffer(imageData) })
+        };
+    },
+
+    async send(insight, { text, imageBuffer, imageInfo, description }) {
+        const mediaIds = [];
+        if (imageBuffer) {
+            out.info(`Uploading card to Mastodon for insight ${insight.id}`);
+            mediaIds.push(await uploadMedia(imageBuffer, imageInfo.mimetype, description));
+        }
+
+        out.info(`Posting Mastodon status for insight ${insight.id}`);
+        const status = await postStatus({ text, mediaIds, idempotencyKey: `polaris-insight-${insight.id}` });
+
+        return {
+            id: status.id,
+            url: status.url,
+            raw: status,
+            meta: {
+                statusId: status.id,
+                mediaIds
+            }
+        };
+    }
+};
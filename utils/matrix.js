@@ -0,0 +1,263 @@
+/**
+ * Matrix client-server API utility module for posting insights to rooms
+ * The events sent to each room are recorded, so a partly delivered insight is only posted to
+ * the remaining rooms on the next run, reusing the card that was already uploaded
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getMatrixRooms } from './config.js';
+import { cacheRateLimitError, checkPlatformRateLimit, isRateLimitError } from './rate-limit-cache.js';
+import { getImageInfo, toImageBuffer } from './image.js';
+import { getAltText } from './alt-text.js';
+
+const out = new ConsoleLogColors();
+const MAX_ATTEMPTS = 3;
+const MAX_RETRY_AFTER_MS = 10000;
+const INLINE_IMAGE_WIDTH = 600;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Calls the homeserver, waiting out short M_LIMIT_EXCEEDED responses
+ * @param {string} method - HTTP method
+ * @param {string} path - API path starting with /_matrix
+ * @param {Object} options - { body, contentType }
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function matrixRequest(method, path, { body, contentType } = {}) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const response = await fetch(`${config.matrix.homeserverUrl}${path}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${config.matrix.accessToken}`,
+                ...(body ? { 'Content-Type': contentType || 'application/json' } : {})
+            },
+            body: Buffer.isBuffer(body) ? body : body && JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 429) {
+            const retryAfterMs = data.retry_after_ms || (parseInt(response.headers.get('retry-after'), 10) * 1000) || 5000;
+
+            if (retryAfterMs <= MAX_RETRY_AFTER_MS && attempt < MAX_ATTEMPTS) {
+                out.warn(`⏳ Matrix rate limited (attempt ${attempt}/${MAX_ATTEMPTS}) - retrying in ${retryAfterMs}ms`);
+                await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+                continue;
+            }
+
+            const error = new Error(`Matrix rate limit exceeded (429), retry after ${retryAfterMs}ms`);
+            error.code = 429;
+            error.rateLimit = { remaining: 0, limit: null, reset: Math.ceil((Date.now() + retryAfterMs) / 1000) };
+            cacheRateLimitError(error, 'matrix');
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Matrix API error! status: ${response.status}, ${data.errcode || 'Unknown'}: ${data.error || ''}`);
+            error.code = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+/**
+ * Resolves a room alias (#room:server) to a room ID; room IDs are returned as is
+ * @param {string} room - Room ID or alias
+ * @returns {Promise<string>} Room ID
+ */
+export async function resolveRoomId(room) {
+    if (!room.startsWith('#')) {
+        return room;
+    }
+    const data = await matrixRequest('GET', `/_matrix/client/v3/directory/room/${encodeURIComponent(room)}`);
+    return data.room_id;
+}
+
+/**
+ * Uploads an image to the media repository
+ * @param {Buffer} imageBuffer - Image data
+ * @param {string|undefined} mimetype - The image's type from getImageInfo(), if it was recognized
+ * @returns {Promise<string>} mxc:// content URI
+ */
+export async function uploadMatrixMedia(imageBuffer, mimetype) {
+    const filename = mimetype ? `insight-image.${mimetype.split('/')[1]}` : 'insight-image';
+    const data = await matrixRequest('POST', `/_matrix/media/v3/upload?filename=${filename}`, {
+        body: imageBuffer,
+        contentType: mimetype || 'application/octet-stream'
+    });
+    return data.content_uri;
+}
+
+/**
+ * Sends an m.room.message event
+ * @param {string} roomId - Target room ID
+ * @param {Object} content - Event content
+ * @param {string} txnKey - Stable key the transaction ID is derived from
+ * @returns {Promise<string>} Event ID
+ */
+export async function sendRoomMessage(roomId, content, txnKey) {
+    // Transaction IDs are scoped to the access token, so include the room to keep them unique.
+    // Homeservers only remember them briefly - they stop a retried request from posting twice, not a rerun
+    const txnId = crypto.createHash('sha256').update(`${roomId}:${txnKey}`).digest('hex').substring(0, 32);
+    const data = await matrixRequest('PUT', `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`, {
+        body: content
+    });
+    return data.event_id;
+}
+
+/**
+ * Builds the message contents for an insight
+ * @param {Object} insight - The insight object
+ * @param {string|null} contentUri - mxc:// URI of the uploaded card
+ * @param {Object} imageInfo - { size, mimetype, width, height }; fields that aren't known are left out of the event
+ * @param {string} altText - Image description, used as the image event's body
+ * @returns {Object} { image, text, single } event contents
+ */
+export function buildMatrixContents(insight, contentUri, imageInfo = {}, altText = getAltText(insight)) {
+    const { headline, url: insightUrl } = insight;
+    const linkHtml = `<strong>${escapeHtml(headline)}</strong><br><a href="${escapeHtml(insightUrl)}">Read more</a>`;
+
+    const text = {
+        msgtype: 'm.text',
+        body: `${headline}\n\nRead more: ${insightUrl}`,
+        format: 'org.matrix.custom.html',
+        formatted_body: linkHtml
+    };
+
+    if (!contentUri) {
+        return { image: null, text, single: text };
+    }
+
+    const { size, mimetype, width, height } = imageInfo;
+    const info = {
+        ...(mimetype && { mimetype }),
+        ...(size && { size }),
+        ...(width && height && { w: width, h: height })
+    };
+    const inlineSize = width && height
+        ? ` width="${INLINE_IMAGE_WIDTH}" height="${Math.round(INLINE_IMAGE_WIDTH * height / width)}"`
+        : ` width="${INLINE_IMAGE_WIDTH}"`;
+
+    return {
+        image: {
+            msgtype: 'm.image',
+            body: altText,
+            url: contentUri,
+            info
+        },
+        text,
+        single: {
+            ...text,
+            formatted_body: `<img src="${contentUri}" alt="${escapeHtml(altText)}"${inlineSize}><br>${linkHtml}`
+        }
+    };
+}
+
+/**
+ * Builds the publisher result from the per-room events - the first fully delivered room doubles as the post's ID and URL
+ */
+function toResult(contentUri, rooms, { complete = true } = {}) {
+    const [roomId, room] = Object.entries(rooms).find(([, delivery]) => delivery.eventId) || [];
+    return {
+        id: room?.eventId ?? null,
+        url: room ? `https://matrix.to/#/${encodeURIComponent(roomId)}/${encodeURIComponent(room.eventId)}` : null,
+        raw: rooms,
+        meta: {
+            contentUri,
+            rooms,
+            ...(complete ? {} : { complete: false })
+        }
+    };
+}
+
+/**
+ * Sends the insight's events to one room, skipping any an earlier run already sent
+ * @param {Object} rooms - Deliveries by room ID, updated as each event is sent
+ */
+async function sendToRoom(insight, roomId, style, contents, rooms) {
+    if (style === 'single' || !contents.image) {
+        rooms[roomId] = { eventId: await sendRoomMessage(roomId, contents.single, `${insight.id}:single`) };
+        return;
+    }
+
+    // The image event is recorded on its own so a failed text event doesn't repeat the image
+    if (!rooms[roomId]?.imageEventId) {
+        rooms[roomId] = { imageEventId: await sendRoomMessage(roomId, contents.image, `${insight.id}:image`) };
+    }
+    rooms[roomId] = { ...rooms[roomId], eventId: await sendRoomMessage(roomId, contents.text, `${insight.id}:text`) };
+}
+
+export const matrixPublisher = {
+    name: 'matrix',
+
+    validateConfig() {
+        const rooms = getMatrixRooms(); // This will throw if misconfigured
+        out.info(`Matrix configured - ${config.matrix.homeserverUrl}, ${rooms.length} room(s): ${rooms.map(({ room, style }) => `${room} (${style})`).join(', ')} (${config.matrix.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        return checkPlatformRateLimit('matrix');
+    },
+
+    async render(insight, { getImage }) {
+        const imageData = await getImage();
+        const imageBuffer = await toImageBuffer(imageData);
+        return {
+            imageBuffer,
+            imageInfo: imageBuffer ? { size: imageBuffer.length, ...getImageInfo(imageBuffer) } : {},
+            altText: getAltText(insight, { card: Buffer.isBuffer(imageData) })
+        };
+    },
+
+    async send(insight, { imageBuffer, imageInfo, altText }, previous = null) {
+        // Rooms that already received this insight in an earlier, partly failed run are skipped
+        const rooms = { ...previous?.rooms };
+        let contentUri = previous?.contentUri || null;
+        if (imageBuffer && !contentUri) {
+            out.info(`Uploading card to Matrix media repository for insight ${insight.id}`);
+            contentUri = await uploadMatrixMedia(imageBuffer, imageInfo.mimetype);
+        }
+
+        const contents = buildMatrixContents(insight, contentUri, imageInfo, altText);
+        const roomList = getMatrixRooms();
+        const failures = [];
+
+        for (const { room, style } of roomList) {
+            try {
+                const roomId = await resolveRoomId(room);
+                if (rooms[roomId]?.eventId) {
+                    out.info(`Insight ${insight.id} already sent to Matrix room ${room}, skipping`);
+                    continue;
+                }
+
+                out.info(`Posting insight ${insight.id} to Matrix room ${room} (${style})`);
+                await sendToRoom(insight, roomId, style, contents, rooms);
+            } catch (error) {
+                if (isRateLimitError(error)) {
+                    error.partialResult = Object.keys(rooms).length ? toResult(contentUri, rooms, { complete: false }) : null;
+                    throw error;
+                }
+                out.error(`Error sending insight ${insight.id} to Matrix room ${room}: ${error.message}`);
+                failures.push(`${room}: ${error.message}`);
+            }
+        }
+
+        if (failures.length) {
+            const error = new Error(`Matrix delivery failed for ${failures.length} of ${roomList.length} room(s) - ${failures.join('; ')}`);
+            error.partialResult = Object.keys(rooms).length ? toResult(contentUri, rooms, { complete: false }) : null;
+            throw error;
+        }
+        return toResult(contentUri, rooms);
+    }
+};
@@ -0,0 +1,215 @@
+/**
+ * Polaris API client
+ * Shared by the bot and the preseed script: request timeouts, exponential backoff on 5xx and
+ * network errors, and conditional requests (ETag / Last-Modified) so an unchanged feed is served
+ * from the local cache
+ */
+
+import fetch from 'node-fetch';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config } from './config.js';
+import { readCache, writeCache } from './cache.js';
+
+const out = new ConsoleLogColors();
+const MAX_CACHED_URLS = 20;
+const MAX_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Base class for Polaris client errors
+ */
+export class PolarisError extends Error {
+    constructor(message, url) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+    }
+}
+
+/**
+ * The API answered with a non-2xx status (after retries for 5xx)
+ */
+export class PolarisApiError extends PolarisError {
+    constructor(message, url, status) {
+        super(message, url);
+        this.status = status;
+    }
+}
+
+/**
+ * The API could not be reached or did not answer within POLARIS_TIMEOUT_MS
+ */
+export class PolarisNetworkError extends PolarisError {
+    constructor(message, url, { timedOut = false, cause = null } = {}) {
+        super(message, url);
+        this.timedOut = timedOut;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The API answered, but the body isn't what the bot expects
+ */
+export class PolarisPayloadError extends PolarisError {}
+
+/**
+ * @param {Error} error - Any error
+ * @returns {boolean} True when the Polaris API is down or unreachable, as opposed to returning bad data
+ */
+export function isPolarisUnavailable(error) {
+    return error instanceof PolarisNetworkError || error instanceof PolarisApiError;
+}
+
+function readHttpCache() {
+    const data = readCache(config.cache.polarisHttpFilename);
+    return data.entries && typeof data.entries === 'object' ? data.entries : {};
+}
+
+function writeHttpCacheEntry(url, entry) {
+    const entries = { ...readHttpCache(), [url]: entry };
+
+    // Keep only the most recently stored URLs so paging doesn't grow the file forever
+    const bounded = Object.entries(entries)
+        .sort(([, a], [, b]) => new Date(b.storedAt) - new Date(a.storedAt))
+        .slice(0, MAX_CACHED_URLS);
+
+    writeCache({ entries: Object.fromEntries(bounded) }, config.cache.polarisHttpFilename);
+}
+
+/**
+ * Performs a single request with a timeout
+ * The body is read before the timer is cleared, so a server that stalls after sending headers times out too
+ * @returns {Promise<Object>} { response, text }
+ */
+async function fetchWithTimeout(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.polaris.timeoutMs);
+
+    try {
+        const response = await fetch(url, { headers, signal: controller.signal });
+        return { response, text: await response.text() };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new PolarisNetworkError(`Polaris API request timed out after ${config.polaris.timeoutMs}ms`, url, { timedOut: true, cause: error });
+        }
+        throw new PolarisNetworkError(`Polaris API request failed: ${error.message}`, url, { cause: error });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function backoff(attempt, maxAttempts, reason, delayMs = 1000 * 2 ** (attempt - 1)) {
+    out.warn(`⏳ Polaris API attempt ${attempt}/${maxAttempts} failed (${reason}) - retrying in ${delayMs / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+}
+
+/**
+ * GETs a JSON resource from the Polaris API
+ * @param {string} path - Path relative to POLARIS_API_URL, including the query string
+ * @returns {Promise<Object>} { data, notModified }
+ * @throws {PolarisNetworkError|PolarisApiError|PolarisPayloadError}
+ */
+export async function getJson(path) {
+    const url = `${config.polaris.apiUrl}${path}`;
+    const cached = readHttpCache()[url];
+    const maxAttempts = config.polaris.maxRetries + 1;
+
+    const headers = {
+        Accept: 'application/json',
+        'User-Agent': config.polaris.userAgent
+    };
+    if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+    }
+    if (cached?.lastModified) {
+        headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        let response;
+        let text;
+
+        try {
+            ({ response, text } = await fetchWithTimeout(url, headers));
+        } catch (error) {
+            if (attempt === maxAttempts) {
+                throw error;
+            }
+            await backoff(attempt, maxAttempts, error.message);
+            continue;
+        }
+
+        if (response.status === 304 && cached) {
+            return { data: cached.body, notModified: true };
+        }
+
+        if ((response.status >= 500 || response.status === 429) && attempt < maxAttempts) {
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+            const delayMs = retryAfter > 0 && retryAfter <= MAX_RETRY_AFTER_SECONDS ? retryAfter * 1000 : undefined;
+            await backoff(attempt, maxAttempts, `status ${response.status}`, delayMs);
+            continue;
+        }
+
+        if (!response.ok) {
+            throw new PolarisApiError(`Polaris API error! status: ${response.status}`, url, response.status);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new PolarisPayloadError(`Polaris API returned invalid JSON: ${error.message}`, url);
+        }
+
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        if (etag || lastModified) {
+            writeHttpCacheEntry(url, { etag, lastModified, body: data, storedAt: new Date().toISOString() });
+        }
+
+        return { data, notModified: false };
+    }
+}
+
+/**
+ * Fetches a single curated insight
+ * @param {string} id - Insight ID
+ * @returns {Promise<Object|null>} Raw insight, or null if it no longer exists (404/410)
+ * @throws {PolarisNetworkError|PolarisApiError|PolarisPayloadError}
+ */
+export async function fetchInsightById(id) {
+    try {
+        const { data } = await getJson(`/ai/curated-insights/${encodeURIComponent(id)}`);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new PolarisPayloadError(`Expected an insight object for ${id}`, `${config.polaris.apiUrl}/ai/curated-insights/${id}`);
+        }
+        return data;
+    } catch (error) {
+        if (error instanceof PolarisApiError && [404, 410].includes(error.status)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetches a page of curated insights, newest first
+ * @param {Object} range - Page range
+ * @param {number} range.start - Offset of the first insight
+ * @param {number} range.end - Offset after the last insight
+ * @returns {Promise<Object[]>} Raw insights
+ * @throws {PolarisNetworkError|PolarisApiError|PolarisPayloadError}
+ */
+export async function fetchCuratedInsights({ start = 0, end }) {
+    const path = `/ai/curated-insights?_sort=publishedAt&_order=desc&_start=${start}&_end=${end}`;
+    out.info(`Fetching insights from: ${config.polaris.apiUrl}${path}`);
+
+    const { data, notModified } = await getJson(path);
+    if (!Array.isArray(data)) {
+        throw new PolarisPayloadError(`Expected an array of insights, got ${data === null ? 'null' : typeof data}`, `${config.polaris.apiUrl}${path}`);
+    }
+
+    if (notModified) {
+        out.info('Insights page not modified since last fetch - using cached copy');
+    }
+    return data;
+}
@@ -4,10 +4,10 @@
  * @author jasbanza
  */
 
-import fetch from 'node-fetch';
 import { ConsoleLogColors } from "js-console-log-colors";
 import { config } from './config.js';
-import { addProcessedInsight, readProcessedIds, writeProcessedIds } from './cache.js';
+import { addProcessedInsight, isInsightProcessed, readProcessedIds } from './cache.js';
+import { fetchCuratedInsights } from './polaris.js';
 
 const out = new ConsoleLogColors();
 
@@ -18,7 +18,8 @@ const out = new ConsoleLogColors();
  */
 async function preseedProductionCache(limit = 50, dryRun = false) {
     try {
-        const mode = config.platform.mode.toUpperCase();
+        const platforms = config.platform.modes;
+        const mode = platforms.map(platform => platform.toUpperCase()).join(', ');
         const testMode = config.telegram?.testMode || config.twitter?.testMode || false;
         const cacheFile = testMode ? 'test_processed_insights.cache.json' : 'processed_insights.cache.json';
         
@@ -30,30 +31,18 @@ async function preseedProductionCache(limit = 50, dryRun = false) {
         }
         
         // Fetch current insights
-        const url = `${config.polaris.apiUrl}/ai/curated-insights?_sort=publishedAt&_order=desc&_end=${limit}`;
-        out.info(`📡 Fetching insights from: ${url}`);
-        
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const insights = await response.json();
-        if (!insights?.length) {
+        const insights = await fetchCuratedInsights({ start: 0, end: limit });
+        if (!insights.length) {
             out.warn('⚠️ No insights found to pre-seed');
             return;
         }
         
         out.info(`📊 Found ${insights.length} insights to pre-seed`);
         
-        // Get existing processed insights to avoid duplicates
-        const existingProcessed = readProcessedIds();
-        const existingIds = new Set(existingProcessed.map(item => 
-            typeof item === 'string' ? item : item.id
-        ));
-        
-        // Filter out already processed insights
-        const newInsights = insights.filter(insight => !existingIds.has(insight.id));
+        // Filter out insights already processed on every enabled platform
+        const newInsights = insights.filter(insight => 
+            !platforms.every(platform => isInsightProcessed(insight.id, platform))
+        );
         
         if (newInsights.length === 0) {
             out.success('✅ All fetched insights are already in the cache - no pre-seeding needed');
@@ -91,7 +80,9 @@ async function preseedProductionCache(limit = 50, dryRun = false) {
                 timestamp: preseededAt
             };
             
-            addProcessedInsight(insight.id, metadata, dummyResponse);
+            for (const platform of platforms) {
+                addProcessedInsight(insight.id, platform, metadata, dummyResponse);
+            }
             preseededCount++;
             
             const publishedAt = new Date(insight.publishedAt).toLocaleString();
@@ -0,0 +1,82 @@
+/**
+ * Publisher registry
+ * Every destination implements the same contract so the core loop never branches on platform:
+ *
+ *   name                      - Key used in PLATFORM_MODE and the processed insights cache
+ *   validateConfig()          - Throws if required settings are missing, logs what is configured
+ *   preflight()               - Optional rate limit / auth check, resolves to { canPost, message }
+ *   render(insight, context)  - Builds the platform payload (context.getImage() renders the card once per insight)
+ *   send(insight, payload, previous)
+ *                             - Posts the payload and resolves to a normalized result { id, url, raw, meta }; previous is
+ *                               the stored partial result when an earlier run delivered only part of the post, else null
+ *   supportsTargets           - Optional; true if render() honours context.target from "platform:target" rule destinations
+ *   validateTarget(target)    - Optional; throws when a rule target doesn't name a destination the publisher can post to
+ *   update(insight, previous, payload, changed)
+ *                             - Optional; edits a sent post (previous is its processed cache entry), resolves to fields to store
+ *   remove(previous)          - Optional; deletes a sent post after the insight was retracted
+ *
+ * Publishers cache their own rate limits and throw errors with code 429 when one is hit. A publisher that
+ * delivered part of a post before failing attaches the result so far as error.partialResult - it is stored
+ * as incomplete and passed back to send() on the next run.
+ */
+
+import { config } from './config.js';
+import { telegramPublisher } from './telegram.js';
+import { twitterPublisher } from './twitter.js';
+import { discordPublisher } from './discord.js';
+import { mastodonPublisher } from './mastodon.js';
+import { blueskyPublisher } from './bluesky.js';
+import { slackPublisher } from './slack.js';
+import { webhookPublisher } from './webhook.js';
+import { matrixPublisher } from './matrix.js';
+
+const publishers = new Map();
+
+/**
+ * Registers a publisher under its name
+ * @param {Object} publisher - Publisher implementing the contract above
+ */
+export function registerPublisher(publisher) {
+    for (const method of ['validateConfig', 'render', 'send']) {
+        if (typeof publisher[method] !== 'function') {
+            throw new Error(`Publisher "${publisher.name}" is missing ${method}()`);
+        }
+    }
+    publishers.set(publisher.name, publisher);
+}
+
+/**
+ * Looks up a registered publisher
+ * @param {string} name - Platform name
+ * @returns {Object} Publisher
+ */
+export function getPublisher(name) {
+    const publisher = publishers.get(name);
+    if (!publisher) {
+        throw new Error(`Invalid PLATFORM_MODE entry: ${name}. Must be one of: ${getPublisherNames().join(', ')}`);
+    }
+    return publisher;
+}
+
+/**
+ * @returns {string[]} Names of all registered publishers
+ */
+export function getPublisherNames() {
+    return [...publishers.keys()];
+}
+
+/**
+ * @returns {Object[]} Publishers for every platform listed in PLATFORM_MODE
+ */
+export function getEnabledPublishers() {
+    return config.platform.modes.map(getPublisher);
+}
+
+registerPublisher(telegramPublisher);
+registerPublisher(twitterPublisher);
+registerPublisher(discordPublisher);
+registerPublisher(mastodonPublisher);
+registerPublisher(blueskyPublisher);
+registerPublisher(slackPublisher);
+registerPublisher(webhookPublisher);
+registerPublisher(matrixPublisher);
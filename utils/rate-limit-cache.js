@@ -8,19 +8,23 @@ import path from 'path';
 import { config } from './config.js';
 
 /**
- * Get rate limit cache filename based on test mode
+ * Get rate limit cache filename based on test mode and platform
+ * Twitter keeps the original filename so existing caches stay valid
+ * @param {string} platform - Platform the rate limit applies to
  */
-function getRateLimitCacheFilename() {
+function getRateLimitCacheFilename(platform = 'twitter') {
     const prefix = config.telegram.testMode || config.twitter.testMode ? 'test_' : '';
-    return `${prefix}rate_limit.cache.json`;
+    const platformPrefix = platform === 'twitter' ? '' : `${platform}_`;
+    return `${prefix}${platformPrefix}rate_limit.cache.json`;
 }
 
 /**
  * Read rate limit cache from file
+ * @param {string} platform - Platform the rate limit applies to
  */
-export function readRateLimitCache() {
+export function readRateLimitCache(platform = 'twitter') {
     try {
-        const filename = getRateLimitCacheFilename();
+        const filename = getRateLimitCacheFilename(platform);
         if (!fs.existsSync(filename)) {
             return null;
         }
@@ -35,14 +39,16 @@ export function readRateLimitCache() {
 
 /**
  * Write rate limit cache to file
+ * @param {Object} rateLimitData - Rate limit details to cache
+ * @param {string} platform - Platform the rate limit applies to
  */
-export function writeRateLimitCache(rateLimitData) {
+export function writeRateLimitCache(rateLimitData, platform = 'twitter') {
     try {
-        const filename = getRateLimitCacheFilename();
+        const filename = getRateLimitCacheFilename(platform);
         const cacheData = {
             ...rateLimitData,
             cachedAt: new Date().toISOString(),
-            platform: config.platform.mode
+            platform: platform
         };
 
         fs.writeFileSync(filename, JSON.stringify(cacheData, null, 2));
@@ -102,10 +108,11 @@ export function checkCachedRateLimit(cachedData) {
 }
 
 /**
- * Cache a rate limit error for future reference
+ * Reads which limit was hit and when it resets from a rate limit error
  * @param {Object} error - Rate limit error object
+ * @returns {Object|null} { resetTimestamp, limitType, details }, or null when the error has no reset time
  */
-export function cacheRateLimitError(error) {
+export function getRateLimitDetails(error) {
     let resetTimestamp = null;
     let limitType = 'unknown';
     let details = {};
@@ -146,7 +153,19 @@ export function cacheRateLimitError(error) {
         }
     }
 
-    if (resetTimestamp) {
+    return resetTimestamp ? { resetTimestamp, limitType, details } : null;
+}
+
+/**
+ * Cache a rate limit error for future reference
+ * @param {Object} error - Rate limit error object
+ * @param {string} platform - Platform the rate limit applies to
+ */
+export function cacheRateLimitError(error, platform = 'twitter') {
+    const rateLimit = getRateLimitDetails(error);
+
+    if (rateLimit) {
+        const { resetTimestamp, limitType, details } = rateLimit;
         const rateLimitData = {
             error: true,
             limitType: limitType,
@@ -156,7 +175,7 @@ export function cacheRateLimitError(error) {
             detectedAt: new Date().toISOString()
         };
 
-        writeRateLimitCache(rateLimitData);
+        writeRateLimitCache(rateLimitData, platform);
         
         const resetDate = new Date(resetTimestamp * 1000);
         const timeUntilReset = resetTimestamp - Math.floor(Date.now() / 1000);
@@ -172,12 +191,54 @@ export function cacheRateLimitError(error) {
     return null;
 }
 
+/**
+ * Pre-flight check against the cached rate limit of a platform
+ * @param {string} platform - Platform to check
+ * @returns {Object} Pre-flight result with canPost flag and message
+ */
+export function checkPlatformRateLimit(platform) {
+    const cacheStatus = checkCachedRateLimit(readRateLimitCache(platform));
+
+    if (cacheStatus.isRateLimited) {
+        return {
+            canPost: false,
+            message: cacheStatus.message,
+            cached: true,
+            resetTime: cacheStatus.resetTime,
+            timeRemaining: cacheStatus.timeRemaining
+        };
+    }
+
+    return { canPost: true, message: `No active ${platform} rate limit cached` };
+}
+
+/**
+ * Returns when a platform's cached rate limit resets
+ * @param {string} platform - Platform to check
+ * @returns {number|null} Unix timestamp of the reset, or null if no rate limit is active
+ */
+export function getRateLimitResetTimestamp(platform) {
+    const cachedData = readRateLimitCache(platform);
+    const cacheStatus = checkCachedRateLimit(cachedData);
+    return cacheStatus.isRateLimited ? cachedData.resetTimestamp : null;
+}
+
+/**
+ * Checks whether an error returned by a platform API is a rate limit (HTTP 429)
+ * @param {Object} error - Error thrown by a publisher
+ * @returns {boolean} True if the error is a rate limit
+ */
+export function isRateLimitError(error) {
+    return error?.code === 429 || Boolean(error?.message?.includes('429'));
+}
+
 /**
  * Clear rate limit cache (for manual reset or testing)
+ * @param {string} platform - Platform whose cache should be cleared
  */
-export function clearRateLimitCache() {
+export function clearRateLimitCache(platform = 'twitter') {
     try {
-        const filename = getRateLimitCacheFilename();
+        const filename = getRateLimitCacheFilename(platform);
         if (fs.existsSync(filename)) {
             fs.unlinkSync(filename);
             console.log(`🗑️ Rate limit cache cleared: ${filename}`);
@@ -0,0 +1,256 @@
+/**
+ * Insight rules
+ * Declarative include/exclude rules loaded from RULES_FILE that also route insights to destinations.
+ * Rules are checked in order and the first match wins; insights matching no rule fall back to
+ * "default" (include on every enabled platform unless set to "exclude").
+ *
+ * {
+ *   "default": "include",
+ *   "rules": [
+ *     { "name": "no-charts", "action": "exclude", "match": { "keywords": ["chart of the day"] } },
+ *     { "name": "osmosis", "match": { "symbols": ["OSMO", "ION"] }, "destinations": ["telegram:-1001234567890", "twitter"] },
+ *     { "name": "everything-else", "match": {}, "destinations": ["twitter"] }
+ *   ]
+ * }
+ *
+ * Match conditions (all given conditions must hold):
+ *   symbols          - Subject token symbols, case-insensitive
+ *   keywords         - Any keyword contained in the headline, case-insensitive
+ *   backgroundTypes  - "image", "color" or "none"
+ *   hasVisualization - true/false for the presence of a visualization image
+ *   maxAgeMinutes    - Only insights published within this many minutes
+ *
+ * Destinations are "platform" or "platform:target" for publishers that support targets
+ * (Telegram: chat ID or TELEGRAM_DESTINATIONS_FILE name). Platforms not in PLATFORM_MODE are ignored, so one rules file can be shared
+ * between instances.
+ */
+
+import fs from 'fs';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, isPlatformEnabled } from './config.js';
+import { getPublisher } from './publishers.js';
+
+const out = new ConsoleLogColors();
+
+const ACTIONS = ['include', 'exclude'];
+const MATCH_KEYS = ['symbols', 'keywords', 'backgroundTypes', 'hasVisualization', 'maxAgeMinutes'];
+
+let rulesCache;
+
+function toLowerList(value, key, ruleName) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`Rule "${ruleName}": match.${key} must be an array of strings`);
+    }
+    return value.map(item => item.toLowerCase());
+}
+
+/**
+ * Parses "platform" or "platform:target"
+ */
+function parseDestination(destination, ruleName) {
+    const separatorIndex = destination.indexOf(':');
+    const platform = (separatorIndex === -1 ? destination : destination.substring(0, separatorIndex)).trim().toLowerCase();
+    const target = separatorIndex === -1 ? null : destination.substring(separatorIndex + 1).trim() || null;
+
+    const publisher = getPublisher(platform); // This will throw on unknown platforms
+    if (target && !publisher.supportsTargets) {
+        throw new Error(`Rule "${ruleName}": ${platform} doesn't support destination targets ("${destination}")`);
+    }
+    // Targets of platforms that aren't enabled are ignored, so their settings may be absent here
+    if (target && publisher.validateTarget && isPlatformEnabled(platform)) {
+        try {
+            publisher.validateTarget(target);
+        } catch (error) {
+            throw new Error(`Rule "${ruleName}": ${error.message}`);
+        }
+    }
+    return { platform, target };
+}
+
+function validateRule(rule, index) {
+    const name = rule.name || `rule ${index + 1}`;
+    const action = rule.action || 'include';
+
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Rule "${name}": action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    const match = rule.match || {};
+    const unknownKeys = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownKeys.length) {
+        throw new Error(`Rule "${name}": unknown match condition(s) ${unknownKeys.join(', ')}`);
+    }
+    if (match.hasVisualization !== undefined && typeof match.hasVisualization !== 'boolean') {
+        throw new Error(`Rule "${name}": match.hasVisualization must be true or false`);
+    }
+    if (match.maxAgeMinutes !== undefined && !(match.maxAgeMinutes > 0)) {
+        throw new Error(`Rule "${name}": match.maxAgeMinutes must be a positive number`);
+    }
+
+    let destinations = null;
+    if (rule.destinations !== undefined) {
+        if (action === 'exclude') {
+            throw new Error(`Rule "${name}": exclude rules can't have destinations`);
+        }
+        if (!Array.isArray(rule.destinations)) {
+            throw new Error(`Rule "${name}": destinations must be an array`);
+        }
+
+        const parsed = rule.destinations.map(destination => parseDestination(String(destination), name));
+        const platforms = parsed.map(({ platform }) => platform);
+        const duplicate = platforms.find((platform, i) => platforms.indexOf(platform) !== i);
+        if (duplicate) {
+            throw new Error(`Rule "${name}": ${duplicate} is listed more than once`);
+        }
+        destinations = parsed.filter(({ platform }) => isPlatformEnabled(platform));
+    }
+
+    return {
+        name,
+        action,
+        match: {
+            symbols: match.symbols && toLowerList(match.symbols, 'symbols', name).map(symbol => symbol.replace(/^\$/, '')),
+            keywords: match.keywords && toLowerList(match.keywords, 'keywords', name),
+            backgroundTypes: match.backgroundTypes && toLowerList(match.backgroundTypes, 'backgroundTypes', name),
+            hasVisualization: match.hasVisualization,
+            maxAgeMinutes: match.maxAgeMinutes
+        },
+        destinations
+    };
+}
+
+/**
+ * Loads and validates RULES_FILE once
+ * @returns {Object|null} { default, rules } or null when no rules file is configured
+ * @throws {Error} When the file is unreadable or a rule is invalid
+ */
+export function loadRules() {
+    if (rulesCache !== undefined) {
+        return rulesCache;
+    }
+
+    if (!config.rules.file) {
+        rulesCache = null;
+        return rulesCache;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(config.rules.file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load RULES_FILE (${config.rules.file}): ${error.message}`);
+    }
+
+    const defaultAction = data.default || 'include';
+    if (!ACTIONS.includes(defaultAction)) {
+        throw new Error(`RULES_FILE "default" must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(data.rules)) {
+        throw new Error('RULES_FILE must contain a "rules" array');
+    }
+
+    rulesCache = { default: defaultAction, rules: data.rules.map(validateRule) };
+    return rulesCache;
+}
+
+/**
+ * Checks a rule's conditions against an insight
+ * @returns {string|null} Description of what matched, or null if the rule doesn't match
+ */
+function matchRule({ match }, insight, now) {
+    const matched = [];
+
+    if (match.symbols) {
+        const symbol = insight.subject?.symbol?.toLowerCase();
+        if (!symbol || !match.symbols.includes(symbol)) {
+            return null;
+        }
+        matched.push(`symbol ${insight.subject.symbol}`);
+    }
+
+    if (match.keywords) {
+        const headline = insight.headline.toLowerCase();
+        const keyword = match.keywords.find(keyword => headline.includes(keyword));
+        if (!keyword) {
+            return null;
+        }
+        matched.push(`keyword "${keyword}"`);
+    }
+
+    if (match.backgroundTypes) {
+        const backgroundType = insight.backgroundType || 'none';
+        if (!match.backgroundTypes.includes(backgroundType)) {
+            return null;
+        }
+        matched.push(`background ${backgroundType}`);
+    }
+
+    if (match.hasVisualization !== undefined) {
+        if (Boolean(insight.visualizationValue) !== match.hasVisualization) {
+            return null;
+        }
+        matched.push(match.hasVisualization ? 'has visualization' : 'no visualization');
+    }
+
+    if (match.maxAgeMinutes !== undefined) {
+        const ageMinutes = insight.publishedAt ? (now - new Date(insight.publishedAt)) / 60000 : Infinity;
+        if (ageMinutes > match.maxAgeMinutes) {
+            return null;
+        }
+        matched.push(`age ${Math.floor(ageMinutes)}min <= ${match.maxAgeMinutes}min`);
+    }
+
+    return matched.length ? matched.join(', ') : 'catch-all';
+}
+
+function allEnabledDestinations() {
+    return config.platform.modes.map(platform => ({ platform, target: null }));
+}
+
+/**
+ * Decides whether and where an insight is posted
+ * @param {Object} insight - Normalized insight
+ * @param {Date} now - Reference time for age conditions
+ * @returns {Object} { included, rule, reason, destinations: [{ platform, target }] }
+ */
+export function routeInsight(insight, now = new Date()) {
+    const rules = loadRules();
+    if (!rules) {
+        return { included: true, rule: null, reason: 'no rules configured', destinations: allEnabledDestinations() };
+    }
+
+    for (const rule of rules.rules) {
+        const matched = matchRule(rule, insight, now);
+        if (!matched) {
+            continue;
+        }
+
+        if (rule.action === 'exclude') {
+            return { included: false, rule: rule.name, reason: matched, destinations: [] };
+        }
+        return {
+            included: true,
+            rule: rule.name,
+            reason: matched,
+            destinations: rule.destinations || allEnabledDestinations()
+        };
+    }
+
+    return {
+        included: rules.default === 'include',
+        rule: null,
+        reason: `no rule matched (default: ${rules.default})`,
+        destinations: rules.default === 'include' ? allEnabledDestinations() : []
+    };
+}
+
+/**
+ * Logs the loaded rules
+ */
+export function logRules() {
+    const rules = loadRules();
+    if (!rules) {
+        return;
+    }
+    out.info(`📏 ${rules.rules.length} rule(s) loaded from ${config.rules.file} (default: ${rules.default})`);
+}
@@ -0,0 +1,208 @@
+/**
+ * Slack utility module for posting insights with Block Kit
+ * Posts through an incoming webhook, or through chat.postMessage when a bot token is configured
+ */
+
+import fetch from 'node-fetch';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getSlackTarget } from './config.js';
+import { cacheRateLimitError, checkPlatformRateLimit } from './rate-limit-cache.js';
+import { getSourceImageUrl } from './image.js';
+import { getAltText } from './alt-text.js';
+
+const out = new ConsoleLogColors();
+const SLACK_API_URL = 'https://slack.com/api';
+const MAX_ALT_TEXT_LENGTH = 2000;
+
+function escapeSlackText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Throws a cached rate limit error when Slack answers 429
+ * @param {Object} response - Fetch response
+ */
+function handleRateLimit(response) {
+    if (response.status !== 429) {
+        return;
+    }
+
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10) || 60;
+    const error = new Error(`Slack rate limit exceeded (429), retry after ${retryAfter}s`);
+    error.code = 429;
+    error.rateLimit = { remaining: 0, limit: null, reset: Math.ceil(Date.now() / 1000) + retryAfter };
+    cacheRateLimitError(error, 'slack');
+    throw error;
+}
+
+/**
+ * Calls a Slack Web API method with the bot token
+ * @param {string} method - API method, e.g. chat.postMessage
+ * @param {Object} body - JSON body, or URLSearchParams for form-encoded methods
+ * @returns {Promise<Object>} Slack API response
+ */
+async function callSlackApi(method, body) {
+    const { botToken } = getSlackTarget();
+    const isForm = body instanceof URLSearchParams;
+
+    const response = await fetch(`${SLACK_API_URL}/${method}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${botToken}`,
+            'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json; charset=utf-8'
+        },
+        body: isForm ? body.toString() : JSON.stringify(body)
+    });
+
+    handleRateLimit(response);
+
+    const data = await response.json();
+    if (!data.ok) {
+        throw new Error(`Slack API ${method} returned error: ${data.error || 'Unknown error'}`);
+    }
+    return data;
+}
+
+/**
+ * Uploads the card privately so it can be referenced from an image block
+ * @param {Buffer} imageBuffer - JPEG image
+ * @param {string} title - File title
+ * @returns {Promise<string>} Slack file ID
+ */
+export async function uploadSlackImage(imageBuffer, title) {
+    const { upload_url: uploadUrl, file_id: fileId } = await callSlackApi('files.getUploadURLExternal', new URLSearchParams({
+        filename: 'insight-image.jpg',
+        length: String(imageBuffer.length)
+    }));
+
+    const uploadResponse = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/jpeg' },
+        body: imageBuffer
+    });
+    if (!uploadResponse.ok) {
+        throw new Error(`Slack file upload failed: ${uploadResponse.status}`);
+    }
+
+    // Completing without a channel keeps the file out of the conversation until the message references it
+    await callSlackApi('files.completeUploadExternal', { files: [{ id: fileId, title }] });
+    return fileId;
+}
+
+/**
+ * Builds the Block Kit message for an insight
+ * @param {Object} insight - The insight object
+ * @param {Object|null} image - { url } or { slackFileId }
+ * @returns {Object} Slack message with fallback text and blocks
+ */
+export function buildSlackMessage(insight, image) {
+    const { headline, url: insightUrl } = insight;
+
+    const blocks = [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${escapeSlackText(headline)}*` }
+    }];
+
+    if (image) {
+        blocks.push({
+            type: 'image',
+            ...(image.slackFileId ? { slack_file: { id: image.slackFileId } } : { image_url: image.url }),
+            alt_text: getAltText(insight, { maxLength: MAX_ALT_TEXT_LENGTH, card: Boolean(image.slackFileId) })
+        });
+    }
+
+    blocks.push({
+        type: 'actions',
+        elements: [{
+            type: 'button',
+            text: { type: 'plain_text', text: 'Read more' },
+            url: insightUrl,
+            action_id: 'read_more'
+        }]
+    });
+
+    return {
+        text: `${headline} ${insightUrl}`, // Notification and accessibility fallback
+        blocks
+    };
+}
+
+export const slackPublisher = {
+    name: 'slack',
+
+    validateConfig() {
+        const target = getSlackTarget(); // This will throw if misconfigured
+        const mode = target.botToken ? `bot token, channel ${target.channel}` : 'incoming webhook';
+        out.info(`Slack configured - ${mode} (${config.slack.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        return checkPlatformRateLimit('slack');
+    },
+
+    async render(insight, { getImage }) {
+        const imageData = await getImage();
+        let image = null;
+
+        if (typeof imageData === 'string') {
+            image = { url: imageData };
+        } else if (Buffer.isBuffer(imageData) && getSlackTarget().botToken) {
+            image = { buffer: imageData };
+        } else if (getSourceImageUrl(insight)) {
+            // Incoming webhooks can't upload files, so link the original graphic instead
+            image = { url: getSourceImageUrl(insight) };
+        }
+
+        return { image };
+    },
+
+    async send(insight, { image }) {
+        const target = getSlackTarget();
+
+        if (image?.buffer) {
+            out.info(`Uploading card to Slack for insight ${insight.id}`);
+            image = { slackFileId: await uploadSlackImage(image.buffer, insight.headline) };
+        }
+
+        const message = buildSlackMessage(insight, image);
+
+        if (target.webhookUrl) {
+            out.info(`Sending Slack webhook message for insight ${insight.id}`);
+            const response = await fetch(target.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(message)
+            });
+
+            handleRateLimit(response);
+            const responseText = await response.text();
+            if (!response.ok) {
+                throw new Error(`Slack webhook error! status: ${response.status}, response: ${responseText}`);
+            }
+
+            // Incoming webhooks only answer "ok" - there is no message ID to store
+            return { id: null, url: null, raw: responseText, meta: { via: 'webhook' } };
+        }
+
+        out.info(`Posting Slack message to ${target.channel} for insight ${insight.id}`);
+        const data = await callSlackApi('chat.postMessage', { channel: target.channel, ...message });
+
+        let permalink = null;
+        try {
+            permalink = (await callSlackApi('chat.getPermalink', new URLSearchParams({ channel: data.channel, message_ts: data.ts }))).permalink;
+        } catch (error) {
+            out.warn(`Could not fetch Slack permalink: ${error.message}`);
+        }
+
+        return {
+            id: data.ts,
+            url: permalink,
+            raw: data,
+            meta: {
+                via: 'bot',
+                channel: data.channel,
+                ts: data.ts
+            }
+        };
+    }
+};
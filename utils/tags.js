@@ -0,0 +1,69 @@
+/**
+ * Cashtags and hashtags
+ * Derives tags for the assets an insight is about - a cashtag per token symbol and a hashtag per
+ * chain, from the subject and legacy tokens - then applies TAG_MAPPING, TAG_BLOCKLIST and MAX_TAGS.
+ * Platforms decide how many of the tags fit with fitTags(), after the headline has been placed.
+ */
+
+import { config } from './config.js';
+
+// Twitter only links cashtags of 1-6 letters, optionally with a short suffix ($BRK.A)
+const CASHTAG_SYMBOL = /^[a-z]{1,6}([._][a-z]{1,2})?$/i;
+
+/**
+ * Builds a hashtag from free text: "Cosmos Hub" becomes "#CosmosHub"
+ * @returns {string|null} Hashtag, or null when nothing taggable is left
+ */
+function toHashtag(text) {
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(word => word);
+    const tag = words.map(word => word[0].toUpperCase() + word.substring(1)).join('');
+    return /\p{L}/u.test(tag) ? `#${tag}` : null;
+}
+
+function toCashtag(symbol) {
+    return CASHTAG_SYMBOL.test(symbol) ? `$${symbol.toUpperCase()}` : toHashtag(symbol);
+}
+
+/**
+ * @param {Object} insight - Normalized insight
+ * @returns {string[]} Tags in order of preference (cashtags first), after mapping, blocklist and MAX_TAGS
+ */
+export function getInsightTags(insight) {
+    const { mapping, blocklist, maxTags } = config.tags;
+    const tokens = insight.tokens || [];
+    const derived = [
+        ...tokens.map(token => token.symbol && toCashtag(token.symbol)),
+        ...tokens.map(token => token.chain && toHashtag(token.chain))
+    ].filter(tag => tag);
+
+    const tags = [];
+    for (const tag of derived) {
+        const mapped = mapping[tag.toLowerCase()] ?? [tag];
+        for (const item of mapped) {
+            const key = item.toLowerCase();
+            if (!blocklist.includes(key) && !tags.some(existing => existing.toLowerCase() === key)) {
+                tags.push(item);
+            }
+        }
+    }
+
+    return tags.slice(0, maxTags);
+}
+
+/**
+ * Joins as many tags as fit in the space left on a platform, skipping any that don't fit
+ * @param {string[]} tags - Tags from getInsightTags()
+ * @param {number} maxLength - Space left for the tags
+ * @param {Function} getLength - The platform's length function (e.g. weighted length on Twitter)
+ * @returns {string} Space-separated tags, or '' when none fit
+ */
+export function fitTags(tags, maxLength, getLength = text => text.length) {
+    let text = '';
+    for (const tag of tags) {
+        const candidate = text ? `${text} ${tag}` : tag;
+        if (getLength(candidate) <= maxLength) {
+            text = candidate;
+        }
+    }
+    return text;
+}
@@ -0,0 +1,336 @@
+/**
+ * Telegram bot commands
+ * Answers users while the daemon runs, using getUpdates long polling. The update offset is persisted,
+ * so a restart neither loses nor repeats commands.
+ *
+ *   /latest [n]      - The n most recent insights with their cards (up to TELEGRAM_COMMANDS_MAX_RESULTS)
+ *   /insight <id>    - One insight with its card
+ *   /token <symbol>  - Recent insights about a token
+ *   /status          - Cache and rate limit state (TELEGRAM_ADMIN_IDS only)
+ *   /subscribe <symbol...>, /unsubscribe <symbol...|all>, /subscriptions
+ *                    - Token subscriptions, delivered by DM (private chats only)
+ *   /help            - This list
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config } from './config.js';
+import { readCache, writeCache, readProcessedIds, readLatestInsight, readQuarantinedInsights } from './cache.js';
+import { checkPlatformRateLimit } from './rate-limit-cache.js';
+import { fetchCuratedInsights, fetchInsightById, isPolarisUnavailable } from './polaris.js';
+import { normalizeInsight, normalizeInsights, InsightValidationError } from './insight.js';
+import { getImageForInsight } from './image.js';
+import { getUpdates, getMe, sendReply, sendToDestination } from './telegram.js';
+import { escapeText, formatLink } from './telegram-format.js';
+import { isShuttingDown, onShutdown } from './daemon.js';
+import { readSubscribers, normalizeSymbol, getSubscriptions, subscribe, unsubscribe, MAX_SUBSCRIPTIONS_PER_USER } from './telegram-subscriptions.js';
+
+const out = new ConsoleLogColors();
+
+// Commands sent while the bot was down are dropped after this long instead of answered late
+const STALE_COMMAND_SECONDS = 10 * 60;
+// How many recent insights /token searches
+const TOKEN_SEARCH_DEPTH = 50;
+const ERROR_BACKOFF_MS = 5000;
+
+const HELP_TEXT = [
+    '/latest [n] - Most recent insights',
+    '/insight <id> - Show one insight',
+    '/token <symbol> - Recent insights about a token',
+    '/subscribe <symbol...> - Get a DM for new insights about a token',
+    '/unsubscribe <symbol...|all> - Stop those DMs',
+    '/subscriptions - Your subscriptions',
+    '/status - Bot status (admins only)'
+].join('\n');
+
+function readOffset() {
+    return readCache(config.cache.telegramUpdatesFilename).offset ?? null;
+}
+
+function writeOffset(offset) {
+    writeCache({ offset, updatedAt: new Date().toISOString() }, config.cache.telegramUpdatesFilename);
+}
+
+/**
+ * Splits "/latest@PolarisBot 3" into { command: 'latest', args: ['3'] }
+ * @param {string} text - Message text
+ * @param {string} botUsername - This bot's username
+ * @returns {Object|null} Parsed command, or null for plain text and commands addressed to another bot
+ */
+function parseCommand(text, botUsername) {
+    const match = text?.match(/^\/([a-z_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i);
+    if (!match) {
+        return null;
+    }
+
+    const [, command, username, rest = ''] = match;
+    if (username && username.toLowerCase() !== botUsername.toLowerCase()) {
+        return null;
+    }
+    return { command: command.toLowerCase(), args: rest.trim().split(/\s+/).filter(arg => arg) };
+}
+
+function reply(message, text) {
+    return sendReply(message, escapeText(text));
+}
+
+/**
+ * Sends an insight with its card to the chat (and forum topic) a command came from
+ */
+async function sendInsightCard(message, insight) {
+    const destination = {
+        chatId: message.chat.id,
+        threadId: message.is_topic_message ? message.message_thread_id : null
+    };
+    const imageData = await getImageForInsight(insight);
+    const image = typeof imageData === 'string' ? { imageUrl: imageData } : { imageBuffer: imageData || undefined };
+    await sendToDestination(insight, destination, image);
+}
+
+async function handleLatest(message, [count]) {
+    const requested = count === undefined ? 1 : parseInt(count, 10);
+    if (!(requested > 0)) {
+        await reply(message, 'Usage: /latest [n]');
+        return;
+    }
+
+    const limit = Math.min(requested, config.telegram.commands.maxResults);
+    const { insights } = normalizeInsights(await fetchCuratedInsights({ start: 0, end: limit }), { record: false });
+    if (insights.length === 0) {
+        await reply(message, 'No insights available right now.');
+        return;
+    }
+
+    // Oldest first, so the newest insight ends up at the bottom of the chat
+    for (const insight of insights.reverse()) {
+        await sendInsightCard(message, insight);
+    }
+}
+
+async function handleInsight(message, [id]) {
+    if (!id) {
+        await reply(message, 'Usage: /insight <id>');
+        return;
+    }
+
+    const raw = await fetchInsightById(id);
+    if (!raw) {
+        await reply(message, `Insight ${id} was not found.`);
+        return;
+    }
+
+    try {
+        await sendInsightCard(message, normalizeInsight(raw));
+    } catch (error) {
+        if (!(error instanceof InsightValidationError)) {
+            throw error;
+        }
+        await reply(message, `Insight ${id} can't be shown: ${error.message}`);
+    }
+}
+
+async function handleToken(message, [symbol]) {
+    if (!symbol) {
+        await reply(message, 'Usage: /token <symbol>');
+        return;
+    }
+
+    const wanted = symbol.replace(/^\$/, '').toLowerCase();
+    const { insights } = normalizeInsights(await fetchCuratedInsights({ start: 0, end: TOKEN_SEARCH_DEPTH }), { record: false });
+    const matching = insights
+        .filter(insight => insight.subject?.symbol?.toLowerCase() === wanted)
+        .slice(0, config.telegram.commands.maxResults);
+
+    if (matching.length === 0) {
+        await reply(message, `No recent insights about $${wanted.toUpperCase()}.`);
+        return;
+    }
+
+    const lines = matching.map(insight => {
+        const date = insight.publishedAt ? ` (${insight.publishedAt.substring(0, 10)})` : '';
+        return `• ${formatLink(insight.headline, insight.url, config.telegram.parseMode)}${escapeText(date)}`;
+    });
+    await sendReply(message, [escapeText(`Recent insights about $${wanted.toUpperCase()}:`), ...lines].join('\n'));
+}
+
+async function handleStatus(message) {
+    if (!config.telegram.commands.adminIds.includes(String(message.from?.id))) {
+        await reply(message, '/status is only available to bot admins.');
+        return;
+    }
+
+    const processed = readProcessedIds();
+    const incomplete = processed.filter(item => Object.values(item.platforms || {}).some(platform => platform.complete === false));
+    const lines = [
+        `📊 Status (${config.telegram.testMode ? 'TEST' : 'PROD'}, up ${Math.floor(process.uptime() / 60)} min)`,
+        `Processed insights: ${processed.length}${incomplete.length ? ` (${incomplete.length} partly delivered)` : ''}`,
+        `Quarantined insights: ${readQuarantinedInsights().length}`,
+        `Subscribers: ${Object.keys(readSubscribers()).length}`
+    ];
+
+    for (const platform of config.platform.modes) {
+        const latest = readLatestInsight(platform);
+        const rateLimit = checkPlatformRateLimit(platform);
+        lines.push(`${platform}: ${rateLimit.canPost ? 'ready' : `rate limited - ${rateLimit.message}`}, latest ${latest.id ? `${latest.id} sent ${latest.sentAt}` : 'none'}`);
+    }
+
+    await reply(message, lines.join('\n'));
+}
+
+function formatSymbols(symbols) {
+    return symbols.map(symbol => `$${symbol}`).join(', ');
+}
+
+/**
+ * Subscriptions are delivered by DM, so they are only managed in a private chat with the bot
+ * @returns {Promise<boolean>} True if the message came from a private chat
+ */
+async function requirePrivateChat(message) {
+    if (message.chat.type === 'private') {
+        return true;
+    }
+    await reply(message, 'Subscriptions are sent by direct message - send this command to me in a private chat.');
+    return false;
+}
+
+/**
+ * Parses symbol arguments, replying with the ones that aren't valid tickers
+ * @returns {Promise<string[]|null>} Normalized symbols, or null after an error reply
+ */
+async function parseSymbols(message, args, usage) {
+    if (args.length === 0) {
+        await reply(message, usage);
+        return null;
+    }
+    const invalid = args.filter(arg => !normalizeSymbol(arg));
+    if (invalid.length) {
+        await reply(message, `Not a valid token symbol: ${invalid.join(', ')}`);
+        return null;
+    }
+    return args.map(normalizeSymbol);
+}
+
+async function handleSubscribe(message, args) {
+    if (!await requirePrivateChat(message)) {
+        return;
+    }
+    const symbols = await parseSymbols(message, args, 'Usage: /subscribe <symbol...>, e.g. /subscribe OSMO ATOM');
+    if (!symbols) {
+        return;
+    }
+
+    const { added, rejected } = subscribe(message.chat.id, symbols, message.from?.username || null);
+    const lines = [];
+    if (added.length) {
+        lines.push(`Subscribed to ${formatSymbols(added)}. You'll get a message for every new insight about ${added.length > 1 ? 'them' : 'it'}.`);
+    }
+    if (rejected.length) {
+        lines.push(`Not subscribed to ${formatSymbols(rejected)} - the limit is ${MAX_SUBSCRIPTIONS_PER_USER} tokens.`);
+    }
+    if (!added.length && !rejected.length) {
+        lines.push(`You're already subscribed to ${formatSymbols(symbols)}.`);
+    }
+    await reply(message, lines.join('\n'));
+}
+
+async function handleUnsubscribe(message, args) {
+    if (!await requirePrivateChat(message)) {
+        return;
+    }
+
+    const all = args.length === 1 && args[0].toLowerCase() === 'all';
+    const symbols = all ? null : await parseSymbols(message, args, 'Usage: /unsubscribe <symbol...> or /unsubscribe all');
+    if (!all && !symbols) {
+        return;
+    }
+
+    const removed = unsubscribe(message.chat.id, symbols);
+    await reply(message, removed.length ? `Unsubscribed from ${formatSymbols(removed)}.` : 'You weren\'t subscribed to that.');
+}
+
+async function handleSubscriptions(message) {
+    if (!await requirePrivateChat(message)) {
+        return;
+    }
+    const symbols = getSubscriptions(message.chat.id);
+    await reply(message, symbols.length ? `Your subscriptions: ${formatSymbols(symbols)}` : 'You have no subscriptions. Use /subscribe <symbol> to add one.');
+}
+
+async function handleHelp(message) {
+    await reply(message, HELP_TEXT);
+}
+
+const COMMANDS = {
+    start: handleHelp,
+    help: handleHelp,
+    latest: handleLatest,
+    insight: handleInsight,
+    token: handleToken,
+    status: handleStatus,
+    subscribe: handleSubscribe,
+    unsubscribe: handleUnsubscribe,
+    subscriptions: handleSubscriptions
+};
+
+async function handleUpdate(update, botUsername) {
+    const message = update.message;
+    const parsed = parseCommand(message?.text, botUsername);
+    const handler = parsed && COMMANDS[parsed.command];
+    if (!handler) {
+        return;
+    }
+
+    if (Date.now() / 1000 - message.date > STALE_COMMAND_SECONDS) {
+        out.info(`Ignoring stale /${parsed.command} from ${message.chat.id}`);
+        return;
+    }
+
+    out.info(`💬 /${parsed.command} from ${message.from?.username || message.from?.id} in ${message.chat.id}`);
+    try {
+        await handler(message, parsed.args);
+    } catch (error) {
+        out.error(`Error answering /${parsed.command}: ${error.message}`);
+        const text = isPolarisUnavailable(error) ? 'The Polaris API is unavailable right now, please try again later.' : 'Something went wrong, please try again later.';
+        await reply(message, text).catch(replyError => out.error(`Could not send error reply: ${replyError.message}`));
+    }
+}
+
+/**
+ * Answers commands until SIGTERM/SIGINT
+ */
+export async function startCommandPolling() {
+    let me;
+    try {
+        me = await getMe();
+    } catch (error) {
+        out.error(`Telegram commands disabled - could not identify the bot: ${error.message}`);
+        return;
+    }
+
+    const controller = new AbortController();
+    onShutdown(() => controller.abort());
+    let offset = readOffset();
+    out.info(`💬 Listening for commands to @${me.username}`);
+
+    while (!isShuttingDown()) {
+        let updates;
+        try {
+            updates = await getUpdates({ offset, timeoutSeconds: config.telegram.commands.pollTimeoutSeconds, signal: controller.signal });
+        } catch (error) {
+            if (isShuttingDown()) {
+                break;
+            }
+            // Also raised while a webhook is set or another instance is polling (409 Conflict)
+            out.error(`Telegram getUpdates failed: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, ERROR_BACKOFF_MS));
+            continue;
+        }
+
+        for (const update of updates) {
+            await handleUpdate(update, me.username);
+            offset = update.update_id + 1;
+            writeOffset(offset);
+        }
+    }
+
+    out.info('Stopped listening for commands');
+}
@@ -0,0 +1,178 @@
+/**
+ * Telegram destinations
+ * The chats (and forum topics) insights are broadcast to, loaded from TELEGRAM_DESTINATIONS_FILE.
+ * Without the file the bot posts to TELEGRAM_CHAT_ID / TELEGRAM_TEST_CHAT_ID as before.
+ *
+ * {
+ *   "destinations": [
+ *     { "name": "announcements", "chatId": "-1001234567890", "buttons": "read/share" },
+ *     { "name": "forum-news", "chatId": "-1009876543210", "threadId": 42, "silent": true, "preview": false }
+ *   ],
+ *   "testDestinations": [
+ *     { "chatId": "-1005555555555", "threadId": 7 }
+ *   ]
+ * }
+ *
+ * Destination fields:
+ *   chatId   - Required chat ID or @channelusername
+ *   name     - Optional label, usable as a rule target ("telegram:forum-news")
+ *   threadId - Forum topic (message_thread_id)
+ *   silent   - Send without a notification sound (disable_notification)
+ *   preview  - Show link previews in text messages (defaults to !TELEGRAM_DISABLE_WEB_PAGE_PREVIEW)
+ *   buttons  - Button layout, overriding TELEGRAM_BUTTON_LAYOUT / TELEGRAM_CHAT_BUTTON_LAYOUTS
+ */
+
+import fs from 'fs';
+import { config, getChatId, getButtonLayout, parseButtonLayout } from './config.js';
+
+const DESTINATION_KEYS = ['name', 'chatId', 'threadId', 'silent', 'preview', 'buttons'];
+
+let destinationsCache;
+
+/**
+ * Fills in the defaults for a destination
+ * @param {Object} destination - Destination as written in the file (or just { chatId })
+ * @returns {Object} { name, chatId, threadId, silent, disableWebPagePreview, buttonLayout }
+ */
+function toDestination({ name = null, chatId, threadId = null, silent = false, preview, buttons }) {
+    return {
+        name,
+        chatId: String(chatId),
+        threadId: threadId ?? null,
+        silent,
+        disableWebPagePreview: preview === undefined ? config.telegram.disableWebPagePreview : !preview,
+        buttonLayout: buttons === undefined ? getButtonLayout(chatId) : parseButtonLayout(buttons)
+    };
+}
+
+function validateDestination(destination, index, listName) {
+    const label = `${listName}[${index}]`;
+
+    if (!destination || typeof destination !== 'object') {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label} must be an object`);
+    }
+    const unknownKeys = Object.keys(destination).filter(key => !DESTINATION_KEYS.includes(key));
+    if (unknownKeys.length) {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label}: unknown field(s) ${unknownKeys.join(', ')}`);
+    }
+    if (!['string', 'number'].includes(typeof destination.chatId) || !String(destination.chatId).trim()) {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label}: chatId is required`);
+    }
+    if (destination.threadId !== undefined && !Number.isInteger(destination.threadId)) {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label}: threadId must be an integer`);
+    }
+    for (const key of ['silent', 'preview']) {
+        if (destination[key] !== undefined && typeof destination[key] !== 'boolean') {
+            throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label}: ${key} must be true or false`);
+        }
+    }
+    if (destination.buttons !== undefined && typeof destination.buttons !== 'string') {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE ${label}: buttons must be a layout string such as "read/share"`);
+    }
+
+    return toDestination(destination);
+}
+
+function validateDestinationList(list, listName) {
+    if (list === undefined) {
+        return null;
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE "${listName}" must be a non-empty array`);
+    }
+
+    const destinations = list.map((destination, index) => validateDestination(destination, index, listName));
+    const keys = destinations.map(getDestinationKey);
+    const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+    if (duplicate) {
+        throw new Error(`TELEGRAM_DESTINATIONS_FILE "${listName}" lists ${duplicate} more than once`);
+    }
+    return destinations;
+}
+
+/**
+ * Loads and validates TELEGRAM_DESTINATIONS_FILE once
+ * @returns {Object|null} { destinations, testDestinations } or null when no file is configured
+ * @throws {Error} When the file is unreadable or a destination is invalid
+ */
+export function loadTelegramDestinations() {
+    if (destinationsCache !== undefined) {
+        return destinationsCache;
+    }
+
+    if (!config.telegram.destinationsFile) {
+        destinationsCache = null;
+        return destinationsCache;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(config.telegram.destinationsFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load TELEGRAM_DESTINATIONS_FILE (${config.telegram.destinationsFile}): ${error.message}`);
+    }
+
+    destinationsCache = {
+        destinations: validateDestinationList(data.destinations, 'destinations'),
+        testDestinations: validateDestinationList(data.testDestinations, 'testDestinations')
+    };
+    return destinationsCache;
+}
+
+/**
+ * Identifies a destination in the processed cache - topics of one forum are tracked separately
+ * @param {Object} destination - { chatId, threadId }
+ * @returns {string} "chatId" or "chatId/threadId"
+ */
+export function getDestinationKey({ chatId, threadId }) {
+    return threadId ? `${chatId}/${threadId}` : String(chatId);
+}
+
+/**
+ * Checks a rule target when the rules are loaded, so a mistyped destination name fails at startup
+ * instead of being sent to as a chat ID
+ * @param {string} target - Rule target: a destination name, numeric chat ID or @channelusername
+ * @throws {Error} When the target is none of these
+ */
+export function validateTelegramTarget(target) {
+    const destinations = loadTelegramDestinations()?.destinations || [];
+    if (destinations.some(destination => destination.name === target || destination.chatId === target)) {
+        return;
+    }
+    if (/^-?\d+$/.test(target) || /^@[A-Za-z]\w{4,31}$/.test(target)) {
+        return;
+    }
+
+    const names = destinations.map(({ name }) => name).filter(name => name);
+    throw new Error(`unknown Telegram destination "${target}" - expected a TELEGRAM_DESTINATIONS_FILE name (${names.join(', ') || 'none configured'}), a numeric chat ID or an @channelusername`);
+}
+
+/**
+ * @param {string|null} target - Rule target: a destination name or chat ID (ignored in test mode)
+ * @returns {Object[]} Destinations to broadcast an insight to
+ * @throws {Error} When no chat is configured for the current mode
+ */
+export function getTelegramDestinations(target = null) {
+    const file = loadTelegramDestinations();
+    const configured = (config.telegram.testMode ? file?.testDestinations : file?.destinations) || null;
+
+    // Routed chats are ignored in test mode so rules can't post to production groups
+    if (target && !config.telegram.testMode) {
+        const matching = (file?.destinations || []).filter(destination => destination.name === target || destination.chatId === target);
+        return matching.length ? matching : [toDestination({ chatId: target })];
+    }
+
+    return configured || [toDestination({ chatId: getChatId() })];
+}
+
+/**
+ * Finds the configured settings for a chat a message was sent to, e.g. for edits
+ * @param {Object} delivery - { chatId, threadId } from the processed cache
+ * @returns {Object} Matching destination, or the defaults for the chat
+ */
+export function findTelegramDestination({ chatId, threadId = null }) {
+    const file = loadTelegramDestinations();
+    const key = getDestinationKey({ chatId, threadId });
+    const all = [...(file?.destinations || []), ...(file?.testDestinations || [])];
+    return all.find(destination => getDestinationKey(destination) === key) || toDestination({ chatId, threadId });
+}
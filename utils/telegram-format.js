@@ -0,0 +1,174 @@
+/**
+ * Telegram message formatting
+ * Builds captions and messages for the HTML or MarkdownV2 parse modes with every interpolated value
+ * escaped, and keeps them within Telegram's length limits. Limits apply to the text after entity
+ * parsing (UTF-16 code units), so the plain text is measured and truncated before it is escaped -
+ * truncation can never cut through an escape sequence, tag or link.
+ *
+ * With a button layout (TELEGRAM_BUTTON_LAYOUT / TELEGRAM_CHAT_BUTTON_LAYOUTS) the links move into an
+ * inline keyboard, and the "Read more" link is left out of the text when a "read" button is shown.
+ * With TELEGRAM_TAGS, cashtags and hashtags for the subject follow the headline on their own line.
+ */
+
+import { config, addTestModePrefix } from './config.js';
+import { getInsightTags, fitTags } from './tags.js';
+
+export const CAPTION_MAX_LENGTH = 1024;
+export const MESSAGE_MAX_LENGTH = 4096;
+
+export const BUTTON_TYPES = ['read', 'token', 'share'];
+
+const ELLIPSIS = '…';
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Characters that must be escaped anywhere in MarkdownV2 text
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export function escapeMarkdownV2(text) {
+    return text.replace(MARKDOWN_V2_SPECIAL, '\\$&');
+}
+
+/**
+ * Escapes a URL for the (...) part of a MarkdownV2 inline link, where only ) and \ are special
+ */
+export function escapeMarkdownV2Url(url) {
+    return url.replace(/[)\\]/g, '\\$&');
+}
+
+/**
+ * Formats an inline link for the given parse mode
+ * @param {string} label - Plain link text
+ * @param {string} url - Link target
+ * @param {string} parseMode - 'HTML' or 'MarkdownV2'
+ * @returns {string} Formatted link
+ */
+export function formatLink(label, url, parseMode) {
+    if (parseMode === 'MarkdownV2') {
+        return `[${escapeMarkdownV2(label)}](${escapeMarkdownV2Url(url)})`;
+    }
+    return `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+}
+
+export function escapeText(text, parseMode = config.telegram.parseMode) {
+    return parseMode === 'MarkdownV2' ? escapeMarkdownV2(text) : escapeHtml(text);
+}
+
+/**
+ * Shortens plain text to at most maxLength UTF-16 code units, cutting at a grapheme boundary
+ * and preferring the last word boundary
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Text, truncated with an ellipsis if needed
+ */
+export function truncatePlainText(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    if (maxLength < ELLIPSIS.length) {
+        return '';
+    }
+
+    let truncated = '';
+    for (const { segment } of graphemeSegmenter.segment(text)) {
+        if (truncated.length + segment.length > maxLength - ELLIPSIS.length) {
+            break;
+        }
+        truncated += segment;
+    }
+
+    // Avoid cutting a word in half unless that would drop most of the text
+    const lastSpace = truncated.lastIndexOf(' ');
+    if (lastSpace > truncated.length * 0.6) {
+        truncated = truncated.substring(0, lastSpace);
+    }
+
+    return truncated.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Link for the "View token" button: TELEGRAM_TOKEN_URL_TEMPLATE, or the subject's own URL
+ */
+function getTokenUrl(subject) {
+    if (!subject) {
+        return null;
+    }
+    const template = config.telegram.tokenUrlTemplate;
+    if (template && subject.symbol) {
+        return template.replace(/\{(symbol|name|chain)\}/g, (_, key) => encodeURIComponent(subject[key] || ''));
+    }
+    return subject.url;
+}
+
+function buildButton(type, insight) {
+    switch (type) {
+        case 'read':
+            return { text: '📖 Read insight', url: insight.url };
+        case 'token': {
+            const url = getTokenUrl(insight.subject);
+            return url ? { text: `🪙 View ${insight.subject.symbol ? `$${insight.subject.symbol}` : 'token'}`, url } : null;
+        }
+        case 'share':
+            return {
+                text: '↗️ Share',
+                url: `https://t.me/share/url?url=${encodeURIComponent(insight.url)}&text=${encodeURIComponent(insight.headline)}`
+            };
+        default:
+            throw new Error(`Unknown Telegram button "${type}" (expected one of ${BUTTON_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Builds the inline keyboard for a button layout
+ * Buttons without a link (e.g. "token" for insights without a subject) are skipped
+ * @param {Object} insight - Normalized insight
+ * @param {string[][]} layout - Rows of button names
+ * @returns {Object|null} reply_markup object, or null when no button applies
+ */
+export function buildInlineKeyboard(insight, layout) {
+    const rows = layout
+        .map(row => row.map(type => buildButton(type, insight)).filter(button => button))
+        .filter(row => row.length);
+    return rows.length ? { inline_keyboard: rows } : null;
+}
+
+/**
+ * Formats an insight as a Telegram caption or message
+ * @param {Object} insight - Normalized insight
+ * @param {Object} options - Formatting options
+ * @param {number} options.maxLength - CAPTION_MAX_LENGTH for photos, MESSAGE_MAX_LENGTH for text messages
+ * @param {string} options.parseMode - 'HTML' or 'MarkdownV2' (defaults to TELEGRAM_PARSE_MODE)
+ * @param {string[][]|null} options.layout - Button layout from getButtonLayout(), or null for an inline link
+ * @param {string[]} options.tags - Cashtags and hashtags (defaults to the insight's tags when TELEGRAM_TAGS is on)
+ * @returns {Object} { text, parseMode, replyMarkup } - replyMarkup is null without buttons
+ */
+export function formatTelegramText(insight, { maxLength, parseMode = config.telegram.parseMode, layout = null, tags = config.telegram.tags ? getInsightTags(insight) : [] }) {
+    const prefix = addTestModePrefix('');
+    const replyMarkup = layout ? buildInlineKeyboard(insight, layout) : null;
+    const hasReadButton = Boolean(layout?.some(row => row.includes('read')));
+
+    const separator = '\n\n';
+    const linkLabel = 'Read more';
+
+    // Everything except the headline and tags has a fixed visible length
+    const fixedLength = prefix.length + (hasReadButton ? 0 : separator.length + linkLabel.length);
+    const headline = truncatePlainText(insight.headline, maxLength - fixedLength);
+
+    // Tags only use the space the headline leaves
+    const tagSeparator = '\n';
+    const tagText = fitTags(tags, maxLength - fixedLength - headline.length - tagSeparator.length);
+    const body = escapeText(prefix + headline + (tagText ? tagSeparator + tagText : ''), parseMode);
+
+    return {
+        text: hasReadButton ? body : `${body}${separator}${formatLink(linkLabel, insight.url, parseMode)}`,
+        parseMode,
+        replyMarkup
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Telegram token subscriptions
+ * Users subscribe to token symbols with /subscribe in a private chat with the bot and get a DM for
+ * every new insight about them. Stored in telegram_subscribers.cache.json as
+ * { subscribers: { [chatId]: { symbols, username, subscribedAt } } }
+ */
+
+import { config } from './config.js';
+import { readCache, writeCache } from './cache.js';
+
+export const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
+const SYMBOL_PATTERN = /^[a-z0-9._-]{1,20}$/i;
+
+export function readSubscribers() {
+    const data = readCache(config.cache.telegramSubscribersFilename);
+    return data.subscribers && typeof data.subscribers === 'object' ? data.subscribers : {};
+}
+
+function writeSubscribers(subscribers) {
+    writeCache({ subscribers, lastUpdated: new Date().toISOString() }, config.cache.telegramSubscribersFilename);
+}
+
+/**
+ * @param {string} symbol - Symbol as typed by a user, with or without $
+ * @returns {string|null} Upper-case symbol, or null if it isn't a plausible ticker
+ */
+export function normalizeSymbol(symbol) {
+    const cleaned = String(symbol).replace(/^\$/, '');
+    return SYMBOL_PATTERN.test(cleaned) ? cleaned.toUpperCase() : null;
+}
+
+/**
+ * @param {string|number} chatId - Private chat ID
+ * @returns {string[]} Subscribed symbols
+ */
+export function getSubscriptions(chatId) {
+    return readSubscribers()[String(chatId)]?.symbols || [];
+}
+
+/**
+ * Adds symbols to a user's subscriptions, up to MAX_SUBSCRIPTIONS_PER_USER
+ * @param {string|number} chatId - Private chat ID
+ * @param {string[]} symbols - Normalized symbols
+ * @param {string|null} username - Telegram username, for /status and debugging
+ * @returns {Object} { added, rejected } - symbols over the limit are rejected
+ */
+export function subscribe(chatId, symbols, username = null) {
+    const subscribers = readSubscribers();
+    const existing = subscribers[String(chatId)];
+    const current = existing?.symbols || [];
+    const added = [];
+    const rejected = [];
+
+    for (const symbol of new Set(symbols)) {
+        if (current.includes(symbol)) {
+            continue;
+        }
+        if (current.length + added.length >= MAX_SUBSCRIPTIONS_PER_USER) {
+            rejected.push(symbol);
+            continue;
+        }
+        added.push(symbol);
+    }
+
+    subscribers[String(chatId)] = {
+        symbols: [...current, ...added],
+        username,
+        subscribedAt: existing?.subscribedAt || new Date().toISOString()
+    };
+    writeSubscribers(subscribers);
+    return { added, rejected };
+}
+
+/**
+ * Removes symbols from a user's subscriptions
+ * @param {string|number} chatId - Private chat ID
+ * @param {string[]|null} symbols - Normalized symbols, or null for all
+ * @returns {string[]} Symbols that were removed
+ */
+export function unsubscribe(chatId, symbols = null) {
+    const subscribers = readSubscribers();
+    const current = subscribers[String(chatId)]?.symbols || [];
+    const removed = symbols ? current.filter(symbol => symbols.includes(symbol)) : current;
+    const remaining = current.filter(symbol => !removed.includes(symbol));
+
+    if (remaining.length) {
+        subscribers[String(chatId)].symbols = remaining;
+    } else {
+        delete subscribers[String(chatId)];
+    }
+    writeSubscribers(subscribers);
+    return removed;
+}
+
+/**
+ * Forgets a user entirely, e.g. after they blocked the bot
+ */
+export function removeSubscriber(chatId) {
+    unsubscribe(chatId);
+}
+
+/**
+ * @param {string} symbol - Subject symbol of an insight
+ * @returns {string[]} Chat IDs subscribed to it
+ */
+export function getSubscribersForSymbol(symbol) {
+    const wanted = normalizeSymbol(symbol);
+    return Object.entries(readSubscribers())
+        .filter(([, subscriber]) => subscriber.symbols?.includes(wanted))
+        .map(([chatId]) => chatId);
+}
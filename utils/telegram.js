@@ -1,29 +1,83 @@
 import fetch from 'node-fetch';
 import { ConsoleLogColors } from "js-console-log-colors";
-import { config, getChatId, addTestModePrefix } from './config.js';
+import { config, getChatId, getButtonLayout, isValidUrl } from './config.js';
+import { isRateLimitError } from './rate-limit-cache.js';
+import { formatTelegramText, BUTTON_TYPES, CAPTION_MAX_LENGTH, MESSAGE_MAX_LENGTH } from './telegram-format.js';
+import { loadTelegramDestinations, getTelegramDestinations, getDestinationKey, findTelegramDestination, validateTelegramTarget } from './telegram-destinations.js';
+import { getSubscribersForSymbol, removeSubscriber } from './telegram-subscriptions.js';
+import { getImageInfo, toImageBuffer } from './image.js';
 
 const out = new ConsoleLogColors();
 
-export async function sendTextMessage({ insight }) {
-    const telegramApiUrl = `https://api.telegram.org/bot${config.telegram.token}/sendMessage`;
-    const messageText = addTestModePrefix(`${insight.headline}
+// Telegram allows about 30 messages per second overall and one per second to the same chat
+const DIRECT_MESSAGE_INTERVAL_MS = 50;
+const SAME_CHAT_INTERVAL_MS = 1000;
+const MAX_RETRY_AFTER_SECONDS = 60;
+// Telegram albums hold 2-10 items
+const MAX_ALBUM_ITEMS = 10;
+
+let lastDirectMessageAt = 0;
+const lastSentToChatAt = new Map();
+
+/**
+ * Builds an error carrying the HTTP status as code, and Telegram's retry_after (seconds) for 429s
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @param {string|Object} body - Response body, raw or parsed
+ */
+function createTelegramError(message, status, body) {
+    let data = body;
+    if (typeof body === 'string') {
+        try {
+            data = JSON.parse(body);
+        } catch {
+            data = {};
+        }
+    }
 
-[Read more](${config.polaris.insightsUrl}${insight.id})`);
+    const error = new Error(message);
+    error.code = data?.error_code || status;
+    error.retryAfter = data?.parameters?.retry_after ?? null;
+    return error;
+}
+
+/**
+ * Options shared by every message sent to a destination
+ */
+function getDeliveryOptions({ threadId, silent }) {
+    return {
+        ...(threadId && { message_thread_id: threadId }),
+        ...(silent && { disable_notification: true })
+    };
+}
+
+export async function sendTextMessage({
+    insight,
+    chatId = getChatId(),
+    threadId = null,
+    silent = false,
+    disableWebPagePreview = config.telegram.disableWebPagePreview,
+    buttonLayout = getButtonLayout(chatId)
+}) {
+    const telegramApiUrl = `https://api.telegram.org/bot${config.telegram.token}/sendMessage`;
+    const { text, parseMode, replyMarkup } = formatTelegramText(insight, { maxLength: MESSAGE_MAX_LENGTH, layout: buttonLayout });
 
     const response = await fetch(telegramApiUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-            chat_id: getChatId(),
-            text: messageText,
-            parse_mode: 'markdown',
-            disable_web_page_preview: config.telegram.disableWebPagePreview
+            chat_id: chatId,
+            text,
+            parse_mode: parseMode,
+            disable_web_page_preview: disableWebPagePreview,
+            ...getDeliveryOptions({ threadId, silent }),
+            ...(replyMarkup && { reply_markup: replyMarkup })
         })
     });
 
     if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Telegram API error! status: ${response.status}, response: ${errorText}`);
+        throw createTelegramError(`Telegram API error! status: ${response.status}, response: ${errorText}`, response.status, errorText);
     }
 
     const data = await response.json();
@@ -34,11 +88,18 @@ export async function sendTextMessage({ insight }) {
     return data;
 }
 
-export async function sendPhotoMessage({ insight, imageUrl, imageBuffer }) {
+export async function sendPhotoMessage({
+    insight,
+    imageUrl,
+    imageBuffer,
+    chatId = getChatId(),
+    threadId = null,
+    silent = false,
+    buttonLayout = getButtonLayout(chatId)
+}) {
     const telegramApiUrl = `https://api.telegram.org/bot${config.telegram.token}/sendPhoto`;
-    const caption = addTestModePrefix(`${insight.headline}
-
-[Read more](${config.polaris.insightsUrl}${insight.id})`);
+    const { text: caption, parseMode, replyMarkup } = formatTelegramText(insight, { maxLength: CAPTION_MAX_LENGTH, layout: buttonLayout });
+    const deliveryOptions = getDeliveryOptions({ threadId, silent });
 
     let response;
 
@@ -46,10 +107,16 @@ export async function sendPhotoMessage({ insight, imageUrl, imageBuffer }) {
         // Send with buffer
         const FormData = (await import('form-data')).default;
         const form = new FormData();
-        form.append('chat_id', getChatId());
+        form.append('chat_id', chatId);
         form.append('photo', imageBuffer, 'insight-image.jpg');
         form.append('caption', caption);
-        form.append('parse_mode', 'markdown');
+        form.append('parse_mode', parseMode);
+        for (const [key, value] of Object.entries(deliveryOptions)) {
+            form.append(key, String(value));
+        }
+        if (replyMarkup) {
+            form.append('reply_markup', JSON.stringify(replyMarkup));
+        }
 
         response = await fetch(telegramApiUrl, {
             method: 'POST',
@@ -61,17 +128,19 @@ export async function sendPhotoMessage({ insight, imageUrl, imageBuffer }) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                chat_id: getChatId(),
+                chat_id: chatId,
                 photo: imageUrl,
                 caption: caption,
-                parse_mode: 'markdown'
+                parse_mode: parseMode,
+                ...deliveryOptions,
+                ...(replyMarkup && { reply_markup: replyMarkup })
             })
         });
     }
 
     if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Telegram API error! status: ${response.status}, response: ${errorText}`);
+        throw createTelegramError(`Telegram API error! status: ${response.status}, response: ${errorText}`, response.status, errorText);
     }
 
     const data = await response.json();
@@ -80,4 +149,556 @@ export async function sendPhotoMessage({ insight, imageUrl, imageBuffer }) {
     }
 
     return data;
-}
\ No newline at end of file
+}
+
+/**
+ * Sends the card and the source graphics as one album of documents
+ * Photos are recompressed by Telegram, documents are kept as uploaded. An album can't mix the two, so the
+ * card is a document too. Albums can't carry an inline keyboard, so the caption on the first item keeps the "Read more" link
+ * @param {Object[]} albumFiles - Card first, then the source graphics: { buffer, filename } to upload or { fileId } to reuse
+ * @returns {Promise<Object>} Bot API response - result is an array of messages
+ */
+export async function sendMediaGroup({ insight, albumFiles, chatId = getChatId(), threadId = null, silent = false }) {
+    const { text: caption, parseMode } = formatTelegramText(insight, { maxLength: CAPTION_MAX_LENGTH, layout: null });
+    const media = albumFiles.map((file, index) => ({
+        type: 'document',
+        media: file.fileId || `attach://file${index}`,
+        ...(index === 0 && { caption, parse_mode: parseMode })
+    }));
+    const deliveryOptions = getDeliveryOptions({ threadId, silent });
+
+    if (albumFiles.every(file => file.fileId)) {
+        return callTelegramApi('sendMediaGroup', { chat_id: chatId, media, ...deliveryOptions });
+    }
+
+    const FormData = (await import('form-data')).default;
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('media', JSON.stringify(media));
+    for (const [key, value] of Object.entries(deliveryOptions)) {
+        form.append(key, String(value));
+    }
+    for (const [index, file] of albumFiles.entries()) {
+        if (file.buffer) {
+            form.append(`file${index}`, file.buffer, file.filename);
+        }
+    }
+    return callTelegramApi('sendMediaGroup', form);
+}
+
+/**
+ * Calls a Bot API method
+ * @param {string} method - Bot API method, e.g. editMessageCaption
+ * @param {Object} body - JSON body, or a FormData instance for uploads
+ * @param {AbortSignal} signal - Optional signal to cancel the request (long polling)
+ * @returns {Promise<Object>} Bot API response
+ */
+async function callTelegramApi(method, body, signal = undefined) {
+    const isForm = typeof body.getHeaders === 'function';
+    const response = await fetch(`https://api.telegram.org/bot${config.telegram.token}/${method}`, {
+        method: 'POST',
+        headers: isForm ? body.getHeaders() : { 'Content-Type': 'application/json' },
+        body: isForm ? body : JSON.stringify(body),
+        signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+        throw createTelegramError(`Telegram API ${method} error! status: ${response.status}, response: ${data.description || 'Unknown error'}`, response.status, data);
+    }
+    return data;
+}
+
+/**
+ * Edits a message, treating "message is not modified" as success
+ */
+async function callTelegramEdit(method, body) {
+    try {
+        return await callTelegramApi(method, body);
+    } catch (error) {
+        if (error.message.includes('message is not modified')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Edits always resend the keyboard - leaving reply_markup out would remove it from the message
+
+export async function editMessageText({
+    insight,
+    chatId,
+    messageId,
+    disableWebPagePreview = config.telegram.disableWebPagePreview,
+    buttonLayout = getButtonLayout(chatId)
+}) {
+    const { text, parseMode, replyMarkup } = formatTelegramText(insight, { maxLength: MESSAGE_MAX_LENGTH, layout: buttonLayout });
+    return callTelegramEdit('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        parse_mode: parseMode,
+        disable_web_page_preview: disableWebPagePreview,
+        ...(replyMarkup && { reply_markup: replyMarkup })
+    });
+}
+
+export async function editMessageCaption({ insight, chatId, messageId, buttonLayout = getButtonLayout(chatId) }) {
+    const { text: caption, parseMode, replyMarkup } = formatTelegramText(insight, { maxLength: CAPTION_MAX_LENGTH, layout: buttonLayout });
+    return callTelegramEdit('editMessageCaption', {
+        chat_id: chatId,
+        message_id: messageId,
+        caption,
+        parse_mode: parseMode,
+        ...(replyMarkup && { reply_markup: replyMarkup })
+    });
+}
+
+/**
+ * Replaces the photo (or, for album items, the document) of a message, updating its caption at the same time
+ * Album items after the first have no caption - pass withCaption: false for those
+ */
+export async function editMessageMedia({
+    insight,
+    chatId,
+    messageId,
+    imageUrl,
+    imageBuffer,
+    type = 'photo',
+    filename = 'insight-image.jpg',
+    buttonLayout = getButtonLayout(chatId),
+    withCaption = true
+}) {
+    const { text: caption, parseMode, replyMarkup } = withCaption
+        ? formatTelegramText(insight, { maxLength: CAPTION_MAX_LENGTH, layout: buttonLayout })
+        : {};
+    const media = { type, media: imageUrl || 'attach://photo', ...(withCaption && { caption, parse_mode: parseMode }) };
+
+    if (!imageBuffer) {
+        return callTelegramEdit('editMessageMedia', {
+            chat_id: chatId,
+            message_id: messageId,
+            media,
+            ...(replyMarkup && { reply_markup: replyMarkup })
+        });
+    }
+
+    const FormData = (await import('form-data')).default;
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('message_id', String(messageId));
+    form.append('media', JSON.stringify(media));
+    form.append('photo', imageBuffer, filename);
+    if (replyMarkup) {
+        form.append('reply_markup', JSON.stringify(replyMarkup));
+    }
+    return callTelegramEdit('editMessageMedia', form);
+}
+
+export async function deleteMessage({ chatId, messageId }) {
+    try {
+        return await callTelegramApi('deleteMessage', { chat_id: chatId, message_id: messageId });
+    } catch (error) {
+        // Already gone, e.g. removed by an admin or by an earlier, partly failed retraction
+        if (error.message.includes('message to delete not found')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Long-polls for new updates
+ * @param {Object} options - { offset, timeoutSeconds, signal }
+ * @returns {Promise<Object[]>} Updates, oldest first
+ */
+export async function getUpdates({ offset, timeoutSeconds, signal }) {
+    const data = await callTelegramApi('getUpdates', {
+        offset,
+        timeout: timeoutSeconds,
+        allowed_updates: ['message']
+    }, signal);
+    return data.result;
+}
+
+/**
+ * @returns {Promise<Object>} The bot's own user, including its username
+ */
+export async function getMe() {
+    const data = await callTelegramApi('getMe', {});
+    return data.result;
+}
+
+/**
+ * Answers a message with plain formatted text (already escaped for TELEGRAM_PARSE_MODE)
+ * @param {Object} message - Incoming message to reply to
+ * @param {string} text - Formatted reply
+ */
+export async function sendReply(message, text) {
+    return callTelegramApi('sendMessage', {
+        chat_id: message.chat.id,
+        text,
+        parse_mode: config.telegram.parseMode,
+        disable_web_page_preview: true,
+        ...(message.is_topic_message && { message_thread_id: message.message_thread_id }),
+        reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true }
+    });
+}
+
+function getMessageUrl(chatId, messageId) {
+    // Only supergroups and channels (-100 prefix) have linkable messages
+    const match = String(chatId).match(/^-100(\d+)$/);
+    return match ? `https://t.me/c/${match[1]}/${messageId}` : null;
+}
+
+/**
+ * Sends an insight to one destination as an album, photo or text message, falling back to the
+ * next simpler form when Telegram rejects one
+ * @returns {Promise<Object>} Bot API response
+ */
+export async function sendToDestination(insight, destination, { imageUrl, imageBuffer, albumFiles = [] }) {
+    const label = getDestinationKey(destination);
+
+    if (albumFiles.length) {
+        try {
+            out.info(`Sending album of ${albumFiles.length} documents to ${label} for insight ${insight.id}`);
+            return await sendMediaGroup({ insight, albumFiles, ...destination });
+        } catch (error) {
+            if (isRateLimitError(error) || error.code === 403) {
+                throw error;
+            }
+            out.error(`Error sending album to ${label}: ${error.message}`);
+            out.warn(`Falling back to a single photo for insight ${insight.id}`);
+        }
+    }
+
+    if (imageUrl || imageBuffer) {
+        try {
+            out.info(`Sending photo with ${imageUrl ? 'URL' : 'buffer'} to ${label} for insight ${insight.id}`);
+            return await sendPhotoMessage({ insight, imageUrl, imageBuffer, ...destination });
+        } catch (error) {
+            // A blocked bot or a rate limit would fail the text message too
+            if (isRateLimitError(error) || error.code === 403) {
+                throw error;
+            }
+            out.error(`Error sending photo to ${label}: ${error.message}`);
+            out.warn(`Falling back to text message for insight ${insight.id}`);
+        }
+    } else {
+        out.info(`Sending text message to ${label} for insight ${insight.id}`);
+    }
+    return sendTextMessage({ insight, ...destination });
+}
+
+function toDelivery(data, destination) {
+    // sendMediaGroup answers with one message per album item
+    const messages = [].concat(data.result);
+    const [first] = messages;
+    return {
+        chatId: first.chat.id,
+        threadId: destination.threadId,
+        messageId: first.message_id,
+        ...(messages.length > 1 && { messageIds: messages.map(message => message.message_id) }),
+        messageType: messages.length > 1 ? 'album' : first.photo ? 'photo' : 'text',
+        url: getMessageUrl(first.chat.id, first.message_id),
+        sentAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Points later sends at Telegram's copies of an uploaded card or album instead of uploading them again
+ */
+function reuseUploadedCard(image, data) {
+    const messages = [].concat(data.result);
+    if (messages.length > 1 && messages.every(message => message.document)) {
+        return { ...image, albumFiles: messages.map(message => ({ fileId: message.document.file_id })) };
+    }
+    const photo = messages[0].photo;
+    return photo && image.imageBuffer ? { ...image, imageUrl: photo.at(-1).file_id, imageBuffer: undefined } : image;
+}
+
+/**
+ * Full-resolution source graphics shown next to the card in TELEGRAM_ALBUMS mode
+ */
+function getAlbumUrls(insight, imageData) {
+    const urls = [insight.visualizationValue, insight.backgroundType === 'image' ? insight.backgroundValue : null]
+        .filter(url => url && isValidUrl(url) && url !== imageData);
+    return [...new Set(urls)].slice(0, MAX_ALBUM_ITEMS - 1);
+}
+
+function getAlbumFilename(name, buffer) {
+    const extension = getImageInfo(buffer)?.mimetype.split('/')[1].replace('jpeg', 'jpg') || 'jpg';
+    return `${name}.${extension}`;
+}
+
+/**
+ * Downloads the card and source graphics for a TELEGRAM_ALBUMS album - Telegram only fetches GIF, PDF
+ * and ZIP documents by URL, so every item is uploaded
+ * @param {Buffer|string} imageData - The card, rendered or as a remote URL
+ * @param {string[]} albumUrls - Source graphics from getAlbumUrls()
+ * @returns {Promise<Object[]>} [{ buffer, filename }] card first, or [] when there is nothing to add to the card
+ */
+async function getAlbumFiles(imageData, albumUrls) {
+    const cardBuffer = await toImageBuffer(imageData);
+    if (!cardBuffer) {
+        return [];
+    }
+
+    const files = [{ buffer: cardBuffer, filename: getAlbumFilename('insight-card', cardBuffer) }];
+    for (const [index, url] of albumUrls.entries()) {
+        // toImageBuffer logs failed downloads - the album goes out with the graphics that could be fetched
+        const buffer = await toImageBuffer(url);
+        if (buffer) {
+            files.push({ buffer, filename: getAlbumFilename(`source-${index + 1}`, buffer) });
+        }
+    }
+    return files.length > 1 ? files : [];
+}
+
+/**
+ * Builds the publisher result from the per-chat deliveries - the first chat doubles as the post's ID and URL
+ */
+function toResult(chats, { complete = true, subscribersNotified = false } = {}) {
+    const [first] = Object.values(chats);
+    return {
+        id: first?.messageId ?? null,
+        url: first?.url ?? null,
+        raw: chats,
+        meta: {
+            messageId: first?.messageId ?? null,
+            chatId: first?.chatId ?? null,
+            messageType: first?.messageType ?? null,
+            chats,
+            ...(subscribersNotified && { subscribersNotified }),
+            ...(complete ? {} : { complete: false })
+        }
+    };
+}
+
+/**
+ * Waits until a message may be sent to the chat without exceeding Telegram's send limits
+ */
+async function waitForSendSlot(chatId) {
+    const now = Date.now();
+    const nextSlot = Math.max(lastDirectMessageAt + DIRECT_MESSAGE_INTERVAL_MS, (lastSentToChatAt.get(chatId) || 0) + SAME_CHAT_INTERVAL_MS);
+    if (nextSlot > now) {
+        await new Promise(resolve => setTimeout(resolve, nextSlot - now));
+    }
+    lastDirectMessageAt = Date.now();
+    lastSentToChatAt.set(chatId, lastDirectMessageAt);
+}
+
+/**
+ * Sends a DM, waiting out one short 429 (retry_after) before giving up
+ */
+async function sendDirectMessage(insight, chatId, image) {
+    for (let attempt = 1; ; attempt++) {
+        await waitForSendSlot(chatId);
+        try {
+            return await sendToDestination(insight, { chatId }, image);
+        } catch (error) {
+            if (error.code !== 429 || attempt > 1 || !(error.retryAfter <= MAX_RETRY_AFTER_SECONDS)) {
+                throw error;
+            }
+            out.warn(`⏳ Telegram rate limited DMs - retrying in ${error.retryAfter}s`);
+            await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+        }
+    }
+}
+
+/**
+ * DMs an insight to every user subscribed to its subject token
+ * Users who blocked the bot (403) are unsubscribed
+ * @param {Object} insight - Normalized insight
+ * @param {Object} image - { imageUrl } (URL or file_id) or { imageBuffer }, plus albumFiles
+ * @returns {Promise<Object>} { sent, removed, failed }
+ */
+export async function notifySubscribers(insight, image) {
+    const chatIds = insight.subject?.symbol ? getSubscribersForSymbol(insight.subject.symbol) : [];
+    const summary = { sent: 0, removed: 0, failed: 0 };
+
+    for (const [index, chatId] of chatIds.entries()) {
+        try {
+            const data = await sendDirectMessage(insight, chatId, image);
+            summary.sent++;
+            image = reuseUploadedCard(image, data);
+        } catch (error) {
+            if (error.code === 403) {
+                removeSubscriber(chatId);
+                summary.removed++;
+                out.info(`Removed subscriber ${chatId} - the bot was blocked or the account deleted`);
+                continue;
+            }
+            if (isRateLimitError(error)) {
+                summary.failed += chatIds.length - index;
+                out.warn(`🛑 Telegram rate limit - ${chatIds.length - index} subscriber(s) not notified of insight ${insight.id}`);
+                break;
+            }
+            summary.failed++;
+            out.error(`Error notifying subscriber ${chatId}: ${error.message}`);
+        }
+    }
+
+    if (chatIds.length) {
+        out.info(`📬 Notified ${summary.sent} of ${chatIds.length} $${insight.subject.symbol} subscriber(s) about insight ${insight.id}${summary.removed ? ` (${summary.removed} removed)` : ''}`);
+    }
+    return summary;
+}
+
+/**
+ * Messages recorded for a processed insight - entries from before multi-chat delivery hold a single message
+ */
+function getDeliveredMessages(previous) {
+    if (previous.chats) {
+        return Object.values(previous.chats);
+    }
+    return [{ chatId: previous.chatId, threadId: null, messageId: previous.messageId, messageType: previous.messageType }];
+}
+
+/**
+ * Runs an edit or delete for every message of a post, so one failing chat doesn't stop the others
+ */
+async function forEachMessage(previous, action) {
+    const failures = [];
+    for (const message of getDeliveredMessages(previous)) {
+        try {
+            await action(message);
+        } catch (error) {
+            failures.push(`${getDestinationKey(message)}: ${error.message}`);
+        }
+    }
+    if (failures.length) {
+        throw new Error(failures.join('; '));
+    }
+}
+
+export const telegramPublisher = {
+    name: 'telegram',
+
+    validateConfig() {
+        if (!config.telegram.token) {
+            throw new Error('Missing TELEGRAM_TOKEN for Telegram mode');
+        }
+        if (!['HTML', 'MarkdownV2'].includes(config.telegram.parseMode)) {
+            throw new Error('TELEGRAM_PARSE_MODE must be \'HTML\' or \'MarkdownV2\'');
+        }
+        loadTelegramDestinations(); // This will throw on an invalid destinations file
+        const destinations = getTelegramDestinations(); // This will throw if misconfigured
+
+        const layouts = [config.telegram.buttonLayout, ...Object.values(config.telegram.chatButtonLayouts), ...destinations.map(({ buttonLayout }) => buttonLayout)];
+        const unknownButton = layouts.flat(2).find(button => button && !BUTTON_TYPES.includes(button));
+        if (unknownButton) {
+            throw new Error(`Unknown Telegram button "${unknownButton}" in a Telegram button layout (expected ${BUTTON_TYPES.join(', ')} or "link")`);
+        }
+        out.info(`Using ${destinations.length} chat(s): ${destinations.map(destination => destination.name || getDestinationKey(destination)).join(', ')} (${config.telegram.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    supportsTargets: true,
+
+    validateTarget(target) {
+        validateTelegramTarget(target);
+    },
+
+    async render(insight, { getImage, target }) {
+        const destinations = getTelegramDestinations(target);
+        const imageData = await getImage();
+        const albumUrls = config.telegram.albums && imageData ? getAlbumUrls(insight, imageData) : [];
+        const albumFiles = albumUrls.length ? await getAlbumFiles(imageData, albumUrls) : [];
+        if (typeof imageData === 'string') {
+            return { destinations, imageUrl: imageData, albumFiles };
+        } else if (Buffer.isBuffer(imageData)) {
+            return { destinations, imageBuffer: imageData, albumFiles };
+        }
+        return { destinations, albumFiles };
+    },
+
+    async send(insight, { destinations, imageUrl, imageBuffer, albumFiles }, previous = null) {
+        // Chats that already received this insight in an earlier, partly failed run are skipped
+        const chats = { ...previous?.chats };
+        const failures = [];
+        let image = { imageUrl, imageBuffer, albumFiles };
+
+        for (const destination of destinations) {
+            const key = getDestinationKey(destination);
+            if (chats[key]) {
+                out.info(`Insight ${insight.id} already sent to ${key}, skipping`);
+                continue;
+            }
+
+            try {
+                const data = await sendToDestination(insight, destination, image);
+                chats[key] = toDelivery(data, destination);
+
+                // Upload the card once and reuse Telegram's copy for the remaining chats
+                image = reuseUploadedCard(image, data);
+            } catch (error) {
+                if (isRateLimitError(error)) {
+                    error.partialResult = Object.keys(chats).length
+                        ? toResult(chats, { complete: false, subscribersNotified: previous?.subscribersNotified })
+                        : null;
+                    throw error;
+                }
+                out.error(`Error sending insight ${insight.id} to ${key}: ${error.message}`);
+                failures.push(`${key}: ${error.message}`);
+            }
+        }
+
+        // Subscribers get one DM per insight, after the first successful channel post
+        let subscribersNotified = Boolean(previous?.subscribersNotified);
+        if (!subscribersNotified && Object.keys(chats).length) {
+            await notifySubscribers(insight, image);
+            subscribersNotified = true;
+        }
+
+        if (failures.length) {
+            const error = new Error(`Telegram delivery failed for ${failures.length} of ${destinations.length} chat(s) - ${failures.join('; ')}`);
+            error.partialResult = Object.keys(chats).length ? toResult(chats, { complete: false, subscribersNotified }) : null;
+            throw error;
+        }
+        return toResult(chats, { subscribersNotified });
+    },
+
+    async update(insight, previous, { imageUrl, imageBuffer, albumFiles = [] }, changed) {
+        await forEachMessage(previous, async ({ chatId, threadId, messageId, messageIds = [messageId], messageType }) => {
+            const destination = findTelegramDestination({ chatId, threadId });
+            // Album captions never carry a keyboard
+            const buttonLayout = messageType === 'album' ? null : destination.buttonLayout;
+
+            if (messageType === 'text') {
+                // A text message can't gain a photo, so only the text is refreshed
+                await editMessageText({ insight, chatId, messageId, disableWebPagePreview: destination.disableWebPagePreview, buttonLayout });
+            } else if (changed.includes('image') && messageType === 'album' && albumFiles.length) {
+                // Album items can be replaced but not added or removed
+                for (const [index, itemId] of messageIds.entries()) {
+                    const file = albumFiles[index];
+                    if (file) {
+                        await editMessageMedia({
+                            insight,
+                            chatId,
+                            messageId: itemId,
+                            imageBuffer: file.buffer,
+                            type: 'document',
+                            filename: file.filename,
+                            buttonLayout,
+                            withCaption: index === 0
+                        });
+                    }
+                }
+            } else if (changed.includes('image') && (imageUrl || imageBuffer)) {
+                await editMessageMedia({ insight, chatId, messageId, imageUrl, imageBuffer, buttonLayout });
+            } else {
+                await editMessageCaption({ insight, chatId, messageId, buttonLayout });
+            }
+        });
+        return {};
+    },
+
+    async remove(previous) {
+        // Bots can only delete messages younger than 48 hours - older ones fail with an API error
+        await forEachMessage(previous, async ({ chatId, messageId, messageIds = [messageId] }) => {
+            for (const id of messageIds) {
+                await deleteMessage({ chatId, messageId: id });
+            }
+        });
+    }
+};
@@ -0,0 +1,262 @@
+/**
+ * Twitter account pool
+ * The accounts tweets can be posted from, loaded from TWITTER_ACCOUNTS_FILE. Without the file the
+ * pool is TWITTER_* in production and TWITTER_TEST_*, TWITTER_TEST_2_* and TWITTER_TEST_3_* in test mode.
+ *
+ * {
+ *   "accounts": [
+ *     { "name": "main", "env": "TWITTER" },
+ *     { "name": "backup", "env": "TWITTER_BACKUP" }
+ *   ],
+ *   "testAccounts": [
+ *     { "name": "test", "apiKey": "...", "apiSecret": "...", "accessToken": "...", "accessTokenSecret": "..." }
+ *   ]
+ * }
+ *
+ * Each account either names an environment prefix ("env": "TWITTER_BACKUP" reads TWITTER_BACKUP_API_KEY,
+ * TWITTER_BACKUP_API_SECRET, TWITTER_BACKUP_ACCESS_TOKEN and TWITTER_BACKUP_ACCESS_TOKEN_SECRET) or
+ * lists the four credentials itself.
+ *
+ * TWITTER_ROTATION_STRATEGY picks the order accounts are tried in:
+ *   primary-fallback       - File order; later accounts only post while earlier ones are rate limited
+ *   round-robin            - Starts after the account that posted last, spreading tweets evenly
+ *   least-recently-limited - Accounts that were never limited, or limited longest ago, go first
+ *
+ * Rotation state (last account used, and when each account was last limited and resets) is kept in
+ * twitter_accounts.cache.json so it survives restarts.
+ */
+
+import fs from 'fs';
+import { config } from './config.js';
+import { readCache, writeCache } from './cache.js';
+
+export const ROTATION_STRATEGIES = ['primary-fallback', 'round-robin', 'least-recently-limited'];
+
+const CREDENTIAL_KEYS = ['apiKey', 'apiSecret', 'accessToken', 'accessTokenSecret'];
+const ACCOUNT_KEYS = ['name', 'env', ...CREDENTIAL_KEYS];
+const ENV_SUFFIXES = {
+    apiKey: 'API_KEY',
+    apiSecret: 'API_SECRET',
+    accessToken: 'ACCESS_TOKEN',
+    accessTokenSecret: 'ACCESS_TOKEN_SECRET'
+};
+
+let accountsCache;
+
+function hasCredentials(account) {
+    return CREDENTIAL_KEYS.every(key => account[key]);
+}
+
+function readEnvAccount(name, prefix) {
+    return {
+        name,
+        ...Object.fromEntries(CREDENTIAL_KEYS.map(key => [key, process.env[`${prefix}_${ENV_SUFFIXES[key]}`]]))
+    };
+}
+
+/**
+ * Accounts configured through environment variables only, as before TWITTER_ACCOUNTS_FILE
+ */
+function getEnvAccounts() {
+    const production = readEnvAccount('production', 'TWITTER');
+    if (!config.twitter.testMode) {
+        return [production];
+    }
+    return config.twitter.testAccounts.length ? config.twitter.testAccounts : [{ ...production, name: 'legacy-test' }];
+}
+
+function validateAccount(account, index, listName) {
+    const label = `${listName}[${index}]`;
+
+    if (!account || typeof account !== 'object') {
+        throw new Error(`TWITTER_ACCOUNTS_FILE ${label} must be an object`);
+    }
+    const unknownKeys = Object.keys(account).filter(key => !ACCOUNT_KEYS.includes(key));
+    if (unknownKeys.length) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE ${label}: unknown field(s) ${unknownKeys.join(', ')}`);
+    }
+    if (typeof account.name !== 'string' || !account.name.trim()) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE ${label}: name is required`);
+    }
+
+    const name = account.name.trim();
+    if (account.env !== undefined) {
+        if (CREDENTIAL_KEYS.some(key => account[key] !== undefined)) {
+            throw new Error(`TWITTER_ACCOUNTS_FILE ${label}: use either env or inline credentials, not both`);
+        }
+        const resolved = readEnvAccount(name, account.env);
+        if (!hasCredentials(resolved)) {
+            throw new Error(`TWITTER_ACCOUNTS_FILE ${label}: ${Object.values(ENV_SUFFIXES).map(suffix => `${account.env}_${suffix}`).join(', ')} must all be set`);
+        }
+        return resolved;
+    }
+
+    if (!hasCredentials(account)) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE ${label}: needs env or all of ${CREDENTIAL_KEYS.join(', ')}`);
+    }
+    return { name, ...Object.fromEntries(CREDENTIAL_KEYS.map(key => [key, account[key]])) };
+}
+
+function validateAccountList(list, listName) {
+    if (list === undefined) {
+        return null;
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE "${listName}" must be a non-empty array`);
+    }
+
+    const accounts = list.map((account, index) => validateAccount(account, index, listName));
+    const names = accounts.map(account => account.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE "${listName}" lists ${duplicate} more than once`);
+    }
+    return accounts;
+}
+
+/**
+ * Loads and validates TWITTER_ACCOUNTS_FILE once
+ * @returns {Object|null} { accounts, testAccounts } or null when no file is configured
+ * @throws {Error} When the file is unreadable or an account is invalid
+ */
+export function loadTwitterAccounts() {
+    if (accountsCache !== undefined) {
+        return accountsCache;
+    }
+
+    if (!config.twitter.accountsFile) {
+        accountsCache = null;
+        return accountsCache;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(config.twitter.accountsFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load TWITTER_ACCOUNTS_FILE (${config.twitter.accountsFile}): ${error.message}`);
+    }
+
+    accountsCache = {
+        accounts: validateAccountList(data.accounts, 'accounts'),
+        testAccounts: validateAccountList(data.testAccounts, 'testAccounts')
+    };
+    return accountsCache;
+}
+
+/**
+ * @returns {Object[]} Accounts for the current mode, in configured order: { name, apiKey, apiSecret, accessToken, accessTokenSecret }
+ * @throws {Error} When the file has no accounts for the current mode or an account lacks credentials
+ */
+export function getTwitterAccounts() {
+    const file = loadTwitterAccounts();
+    if (!file) {
+        const accounts = getEnvAccounts();
+        const incomplete = accounts.find(account => !hasCredentials(account));
+        if (incomplete) {
+            throw new Error(`Twitter API credentials not configured for account: ${incomplete.name}`);
+        }
+        return accounts;
+    }
+
+    const accounts = config.twitter.testMode ? file.testAccounts : file.accounts;
+    if (!accounts) {
+        throw new Error(`TWITTER_ACCOUNTS_FILE has no "${config.twitter.testMode ? 'testAccounts' : 'accounts'}" for ${config.twitter.testMode ? 'TEST' : 'PROD'} mode`);
+    }
+    return accounts;
+}
+
+/**
+ * Finds the account a tweet was posted with, e.g. to delete it or continue its thread
+ * @param {string} name - Account name stored as accountUsed
+ * @returns {Object|null} Matching account, or null when the name is no longer configured - another
+ *   account must never act on its tweets
+ */
+export function findTwitterAccount(name) {
+    return getTwitterAccounts().find(account => account.name === name) || null;
+}
+
+function readAccountState() {
+    const data = readCache(config.cache.twitterAccountsFilename);
+    return {
+        lastUsed: data.lastUsed || null,
+        accounts: data.accounts && typeof data.accounts === 'object' ? data.accounts : {}
+    };
+}
+
+function writeAccountState(state) {
+    writeCache({ ...state, lastUpdated: new Date().toISOString() }, config.cache.twitterAccountsFilename);
+}
+
+/**
+ * @param {string} name - Account name
+ * @returns {number|null} Unix timestamp when the account's rate limit resets, or null if it isn't limited
+ */
+export function getAccountRateLimitReset(name) {
+    const resetTimestamp = readAccountState().accounts[name]?.resetTimestamp;
+    return resetTimestamp && resetTimestamp > Math.floor(Date.now() / 1000) ? resetTimestamp : null;
+}
+
+/**
+ * @returns {number|null} Earliest reset among the pool's accounts, or null if none is limited
+ */
+export function getEarliestAccountReset() {
+    const resets = getTwitterAccounts().map(account => getAccountRateLimitReset(account.name)).filter(reset => reset);
+    return resets.length ? Math.min(...resets) : null;
+}
+
+/**
+ * Orders the accounts that aren't rate limited by TWITTER_ROTATION_STRATEGY
+ * @returns {Object[]} Accounts to try, best first (empty when every account is limited)
+ */
+export function getAccountRotation() {
+    const accounts = getTwitterAccounts();
+    const state = readAccountState();
+    const available = accounts.filter(account => !getAccountRateLimitReset(account.name));
+
+    switch (config.twitter.rotationStrategy) {
+        case 'round-robin': {
+            const lastIndex = accounts.findIndex(account => account.name === state.lastUsed);
+            // Rotate the configured order so the account after the last one used comes first
+            const rotated = [...accounts.slice(lastIndex + 1), ...accounts.slice(0, lastIndex + 1)];
+            return rotated.filter(account => available.includes(account));
+        }
+        case 'least-recently-limited': {
+            const limitedAt = account => new Date(state.accounts[account.name]?.limitedAt || 0).getTime();
+            // Array sort is stable, so accounts that were never limited keep their configured order
+            return [...available].sort((a, b) => limitedAt(a) - limitedAt(b));
+        }
+        default:
+            return available;
+    }
+}
+
+/**
+ * Records a successful post, so round-robin continues with the next account
+ * @param {string} name - Account that posted
+ */
+export function recordAccountUsed(name) {
+    const state = readAccountState();
+    writeAccountState({
+        lastUsed: name,
+        accounts: {
+            ...state.accounts,
+            [name]: { ...state.accounts[name], lastUsedAt: new Date().toISOString() }
+        }
+    });
+}
+
+/**
+ * Takes an account out of rotation until its rate limit resets
+ * @param {string} name - Account that hit the limit
+ * @param {number} resetTimestamp - Unix timestamp when the limit resets
+ */
+export function recordAccountLimited(name, resetTimestamp) {
+    const state = readAccountState();
+    writeAccountState({
+        ...state,
+        accounts: {
+            ...state.accounts,
+            [name]: { ...state.accounts[name], limitedAt: new Date().toISOString(), resetTimestamp }
+        }
+    });
+}
@@ -0,0 +1,110 @@
+/**
+ * Twitter text length
+ * Counts characters the way Twitter does (twitter-text v3 weighting) so tweets are never rejected
+ * for being too long, and truncates on word and grapheme boundaries so emoji and links stay intact
+ *
+ * Weighting:
+ *   - Latin, Greek, Cyrillic, Hebrew, Arabic and similar scripts (U+0000-U+10FF) and common
+ *     punctuation (en/em dashes, quotes, primes) count 1
+ *   - Everything else, including CJK, counts 2 per code point
+ *   - Every emoji counts 2, including skin tone, flag and ZWJ sequences
+ *   - Every http(s) link counts 23, its t.co length
+ */
+
+export const MAX_TWEET_LENGTH = 280;
+export const URL_LENGTH = 23;
+
+// Code point ranges weighted 1, from twitter-text's v3 configuration
+const LIGHT_RANGES = [
+    [0x0000, 0x10FF],
+    [0x2000, 0x200D],
+    [0x2010, 0x201F],
+    [0x2032, 0x2037]
+];
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+function getCodePointWeight(codePoint) {
+    return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+function getGraphemeWeight(grapheme) {
+    if (EMOJI_PATTERN.test(grapheme)) {
+        return 2;
+    }
+    let weight = 0;
+    for (const char of grapheme) {
+        weight += getCodePointWeight(char.codePointAt(0));
+    }
+    return weight;
+}
+
+/**
+ * Splits text into the smallest pieces that may not be cut: links and grapheme clusters
+ * @param {string} text - Text to split
+ * @returns {Object[]} [{ text, weight }]
+ */
+function tokenize(text) {
+    const tokens = [];
+    let position = 0;
+
+    const addGraphemes = part => {
+        for (const { segment } of graphemeSegmenter.segment(part)) {
+            tokens.push({ text: segment, weight: getGraphemeWeight(segment) });
+        }
+    };
+
+    for (const match of text.matchAll(URL_PATTERN)) {
+        addGraphemes(text.substring(position, match.index));
+        tokens.push({ text: match[0], weight: URL_LENGTH });
+        position = match.index + match[0].length;
+    }
+    addGraphemes(text.substring(position));
+
+    return tokens;
+}
+
+/**
+ * @param {string} text - Tweet text
+ * @returns {number} Length as counted by Twitter
+ */
+export function getWeightedLength(text) {
+    return tokenize(text.normalize('NFC')).reduce((total, token) => total + token.weight, 0);
+}
+
+/**
+ * Shortens text to a weighted length, cutting at the last word boundary that fits
+ * Falls back to a grapheme boundary for a single overlong word. Links are kept whole or dropped
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum weighted length, including the ellipsis
+ * @param {string} ellipsis - Appended when the text is cut
+ * @returns {string} The text unchanged when it fits, otherwise a prefix of it plus the ellipsis
+ */
+export function truncateToWeightedLength(text, maxLength, ellipsis = '...') {
+    const normalized = text.normalize('NFC');
+    if (getWeightedLength(normalized) <= maxLength) {
+        return normalized;
+    }
+
+    const tokens = tokenize(normalized);
+    const budget = maxLength - getWeightedLength(ellipsis);
+    let used = 0;
+    let count = 0;
+    while (count < tokens.length && used + tokens[count].weight <= budget) {
+        used += tokens[count].weight;
+        count++;
+    }
+
+    // Prefer ending before the word that didn't fit over cutting it in half
+    if (!/^\s/.test(tokens[count]?.text || '')) {
+        const lastSpace = tokens.slice(0, count).findLastIndex(token => /^\s/.test(token.text));
+        if (lastSpace > 0) {
+            count = lastSpace;
+        }
+    }
+
+    return `${tokens.slice(0, count).map(token => token.text).join('').trimEnd()}${ellipsis}`;
+}
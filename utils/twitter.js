@@ -4,62 +4,56 @@
  */
 
 import { TwitterApi } from 'twitter-api-v2';
-import { getTwitterCredentials, getAvailableTwitterAccounts, config } from './config.js';
-import { addProcessedInsight } from './cache.js';
-import { readRateLimitCache, checkCachedRateLimit, cacheRateLimitError } from './rate-limit-cache.js';
+import { config } from './config.js';
+import { readRateLimitCache, checkCachedRateLimit, cacheRateLimitError, getRateLimitDetails } from './rate-limit-cache.js';
+import { ROTATION_STRATEGIES, getTwitterAccounts, getAccountRotation, getAccountRateLimitReset, getEarliestAccountReset, findTwitterAccount, recordAccountUsed, recordAccountLimited } from './twitter-accounts.js';
+import { MAX_TWEET_LENGTH, getWeightedLength, truncateToWeightedLength } from './twitter-text.js';
+import { getInsightTags, fitTags } from './tags.js';
+import { getAltText } from './alt-text.js';
 
-// Track current account index for fallback
-let currentAccountIndex = 0;
+// Accounts not limited again within this long after a 429 without reset headers
+const DEFAULT_RATE_LIMIT_SECONDS = 15 * 60;
 
-/**
- * Attempts to switch to next available Twitter account
- * @returns {boolean} True if fallback account is available, false if no more accounts
- */
-function switchToFallbackAccount() {
-    const availableAccounts = getAvailableTwitterAccounts();
-    const nextIndex = currentAccountIndex + 1;
-    
-    if (nextIndex < availableAccounts.length) {
-        currentAccountIndex = nextIndex;
-        console.log(`🔄 Switching to fallback account: ${availableAccounts[currentAccountIndex].name}`);
-        return true;
-    }
-    
-    console.log('❌ No more fallback accounts available');
-    return false;
-}
+// Clients and authenticated usernames are kept per account so daemon mode doesn't re-authenticate every cycle
+const twitterClients = new Map();
+const authenticatedUsernames = new Map();
 
 /**
- * Resets account index to primary account
+ * Creates and configures the Twitter API client for an account
+ * @param {Object} account - Account from utils/twitter-accounts.js
+ * @returns {TwitterApi} Configured Twitter API client
  */
-function resetToFrimaryAccount() {
-    currentAccountIndex = 0;
-    const availableAccounts = getAvailableTwitterAccounts();
-    if (availableAccounts.length > 0) {
-        console.log(`🔄 Reset to primary account: ${availableAccounts[0].name}`);
+function createTwitterClient(account) {
+    console.log(`🔐 Using Twitter account: ${account.name}`);
+
+    if (!twitterClients.has(account.name)) {
+        twitterClients.set(account.name, new TwitterApi({
+            appKey: account.apiKey,
+            appSecret: account.apiSecret,
+            accessToken: account.accessToken,
+            accessSecret: account.accessTokenSecret,
+        }));
     }
+
+    return twitterClients.get(account.name);
 }
 
 /**
- * Creates and configures Twitter API client
- * @param {number} accountIndex - Index of account to use (for fallback)
- * @returns {TwitterApi} Configured Twitter API client
+ * Takes an account out of rotation after a 429. Once every account is limited, Twitter as a whole is
+ * cached as rate limited, so runs and pre-flight checks skip it until the first account resets
+ * @param {Object} account - Account that hit the limit
+ * @param {Object} error - Rate limit error
+ * @returns {Object|null} Cached platform rate limit when no account is left, otherwise null
  */
-function createTwitterClient(accountIndex = currentAccountIndex) {
-    const credentials = getTwitterCredentials(accountIndex);
-    
-    if (!credentials.apiKey || !credentials.apiSecret || !credentials.accessToken || !credentials.accessTokenSecret) {
-        throw new Error(`Twitter API credentials not configured for account: ${credentials.accountName || 'unknown'}`);
-    }
+function limitTwitterAccount(account, error) {
+    const resetTimestamp = getRateLimitDetails(error)?.resetTimestamp || Math.floor(Date.now() / 1000) + DEFAULT_RATE_LIMIT_SECONDS;
+    recordAccountLimited(account.name, resetTimestamp);
+    console.error(`🛑 Rate limit hit on account: ${account.name} - out of rotation until ${new Date(resetTimestamp * 1000).toLocaleString()}`);
 
-    console.log(`🔐 Using Twitter account: ${credentials.accountName} (index: ${accountIndex})`);
-
-    return new TwitterApi({
-        appKey: credentials.apiKey,
-        appSecret: credentials.apiSecret,
-        accessToken: credentials.accessToken,
-        accessSecret: credentials.accessTokenSecret,
-    });
+    if (getAccountRotation().length > 0) {
+        return null;
+    }
+    return cacheRateLimitError({ rateLimit: { reset: getEarliestAccountReset(), remaining: 0 }, message: `Every Twitter account is rate limited (last: ${error.message})` });
 }
 
 /**
@@ -67,6 +61,8 @@ function createTwitterClient(accountIndex = currentAccountIndex) {
  * Uses cached rate limit data to avoid repeated API calls when rate limited
  */
 export async function checkTwitterRateLimit() {
+    let account = null;
+    
     try {
         console.log('🔍 Checking Twitter rate limit status...');
         
@@ -90,12 +86,26 @@ export async function checkTwitterRateLimit() {
             }
         }
         
+        // Accounts still limited from earlier runs are skipped; the first one left is checked
+        account = getAccountRotation()[0];
+        if (!account) {
+            const resetTime = new Date(getEarliestAccountReset() * 1000);
+            return {
+                canPost: false,
+                message: `Every Twitter account is rate limited until ${resetTime.toLocaleString()}`,
+                resetTime: resetTime.toISOString()
+            };
+        }
+        
         // Proceed with authentication and basic API check
-        const client = createTwitterClient();
+        const client = createTwitterClient(account);
         console.log('🔐 Verifying Twitter authentication...');
         
-        const userResponse = await client.v2.me();
-        const username = userResponse.data.username;
+        if (!authenticatedUsernames.has(account.name)) {
+            const userResponse = await client.v2.me();
+            authenticatedUsernames.set(account.name, userResponse.data.username);
+        }
+        const username = authenticatedUsernames.get(account.name);
         console.log(`✅ Authenticated as @${username}`);
         
         // Try to get app-level rate limit status
@@ -128,7 +138,13 @@ export async function checkTwitterRateLimit() {
                         }
                     };
                     
-                    cacheRateLimitError({ rateLimit: { reset: updateLimit.reset, remaining: 0, limit: updateLimit.limit }, message: 'App posting limit exceeded' });
+                    // Other accounts may use other apps, so only this account leaves the rotation
+                    if (!limitTwitterAccount(account, { rateLimit: { reset: updateLimit.reset, remaining: 0, limit: updateLimit.limit }, message: 'App posting limit exceeded' })) {
+                        return {
+                            canPost: true,
+                            message: `App posting limit exhausted for ${account.name} - continuing with the other accounts`
+                        };
+                    }
                     
                     return {
                         canPost: false,
@@ -170,8 +186,14 @@ export async function checkTwitterRateLimit() {
         if (error.code === 429) {
             console.error('🛑 Rate limit detected during pre-flight check');
             
-            // Cache this rate limit error
-            const cachedData = cacheRateLimitError(error);
+            // Only a pool without any account left stops Twitter for this run
+            const cachedData = account ? limitTwitterAccount(account, error) : cacheRateLimitError(error);
+            if (account && !cachedData) {
+                return {
+                    canPost: true,
+                    message: `Rate limit on ${account.name} - continuing with the other accounts`
+                };
+            }
             if (cachedData) {
                 const timeUntilReset = cachedData.resetTimestamp - Math.floor(Date.now() / 1000);
                 const hours = Math.floor(timeUntilReset / 3600);
@@ -203,11 +225,12 @@ export async function checkTwitterRateLimit() {
 /**
  * Posts a text-only tweet to Twitter
  * @param {string} text - The tweet text content
+ * @param {Object} account - Account to post from (from utils/twitter-accounts.js)
  * @returns {Promise<Object>} Twitter API response
  */
-export async function postTweet(text) {
+export async function postTweet(text, account) {
     try {
-        const client = createTwitterClient();
+        const client = createTwitterClient(account);
         const tweet = await client.v2.tweet(text);
         console.log('Tweet posted successfully:', tweet.data.id);
         return tweet;
@@ -221,11 +244,13 @@ export async function postTweet(text) {
  * Posts a tweet with media (image) to Twitter
  * @param {string} text - The tweet text content
  * @param {Buffer} imageBuffer - The image buffer to upload
+ * @param {string|null} altText - Image description, set through the media metadata endpoint
+ * @param {Object} account - Account to post from (from utils/twitter-accounts.js)
  * @returns {Promise<Object>} Twitter API response
  */
-export async function postTweetWithMedia(text, imageBuffer) {
+export async function postTweetWithMedia(text, imageBuffer, altText, account) {
     try {
-        const client = createTwitterClient();
+        const client = createTwitterClient(account);
         
         console.log('Uploading media to Twitter...');
         
@@ -233,6 +258,15 @@ export async function postTweetWithMedia(text, imageBuffer) {
         const mediaId = await client.v1.uploadMedia(imageBuffer, { mimeType: 'image/png' });
         console.log('Media uploaded successfully, ID:', mediaId);
         
+        // A missing description shouldn't cost the tweet, so metadata errors are only logged
+        if (altText) {
+            try {
+                await client.v1.createMediaMetadata(mediaId, { alt_text: { text: altText } });
+            } catch (metadataError) {
+                console.warn(`⚠️ Could not set alt text for media ${mediaId}: ${metadataError.message}`);
+            }
+        }
+        
         // Post tweet with media - ensure media ID is a string
         const tweet = await client.v2.tweet({
             text: text,
@@ -247,75 +281,153 @@ export async function postTweetWithMedia(text, imageBuffer) {
     }
 }
 
+/**
+ * Builds the normalized publisher result for a tweet or thread
+ * @param {string[]} tweetIds - Posted tweet IDs, the headline tweet first
+ * @param {string} accountUsed - Account that posted the tweets
+ * @param {Object} options - Options
+ * @param {Object|null} options.raw - API response for the headline tweet
+ * @param {boolean} options.thread - Store every tweet ID of the thread
+ * @param {boolean} options.complete - False while replies are still missing
+ */
+function toTweetResult(tweetIds, accountUsed, { raw = null, thread = false, complete = true } = {}) {
+    return {
+        id: tweetIds[0],
+        url: `https://twitter.com/i/web/status/${tweetIds[0]}`,
+        raw,
+        meta: {
+            tweetId: tweetIds[0],
+            ...(thread && { tweetIds }),
+            accountUsed,
+            ...(complete ? {} : { complete: false })
+        }
+    };
+}
+
+/**
+ * Posts the summary replies of a thread, continuing after the last tweet already posted
+ * Replies always come from the account that posted the headline tweet, so there is no fallback here
+ * @param {Object} insight - The insight object
+ * @param {string[]} replies - Reply texts for the whole thread
+ * @param {Object} thread - { tweetIds, accountUsed } posted so far
+ * @returns {Promise<Object>} Normalized result for the complete thread
+ * @throws {Error} With partialResult set to the tweets posted so far
+ */
+async function postThreadReplies(insight, replies, { tweetIds, accountUsed, raw = null }) {
+    const account = findTwitterAccount(accountUsed);
+    const postedIds = [...tweetIds];
+    
+    // The thread stays incomplete, so it resumes once the account is configured again
+    if (!account) {
+        const error = new Error(`Twitter account "${accountUsed}" that started the thread for insight ${insight.id} is no longer configured - not posting its replies`);
+        error.partialResult = toTweetResult(postedIds, accountUsed, { raw, thread: true, complete: false });
+        throw error;
+    }
+    
+    // Waiting keeps the thread on one account instead of failing again before the reset
+    const resetTimestamp = getAccountRateLimitReset(account.name);
+    if (resetTimestamp) {
+        const error = new Error(`Account ${account.name} is rate limited until ${new Date(resetTimestamp * 1000).toLocaleString()} - thread for insight ${insight.id} continues after that`);
+        error.code = 429;
+        error.partialResult = toTweetResult(postedIds, accountUsed, { raw, thread: true, complete: false });
+        throw error;
+    }
+    
+    const client = createTwitterClient(account);
+
+    for (const [index, text] of replies.entries()) {
+        // The headline tweet is postedIds[0], so reply i is postedIds[i + 1]
+        if (postedIds[index + 1]) {
+            continue;
+        }
+
+        try {
+            const response = await client.v2.reply(text, postedIds[postedIds.length - 1]);
+            postedIds.push(response.data.id);
+            console.log(`🧵 Posted reply ${index + 1}/${replies.length} for insight ${insight.id}: ${response.data.id}`);
+        } catch (error) {
+            console.error(`❌ Failed to post reply ${index + 1}/${replies.length} for insight ${insight.id}:`, error.message);
+            if (error.code === 429) {
+                limitTwitterAccount(account, error);
+            }
+            error.partialResult = toTweetResult(postedIds, accountUsed, { raw, thread: true, complete: false });
+            throw error;
+        }
+    }
+
+    return toTweetResult(postedIds, accountUsed, { raw, thread: true });
+}
+
 /**
  * Sends an insight to Twitter with automatic fallback account support
- * @param {Object} insight - The insight object containing title, summary, and image data
- * @param {Buffer|null} imageBuffer - The image buffer (if images are enabled)
- * @param {Object} config - Configuration object
- * @returns {Promise<string>} Tweet URL
+ * @param {Object} insight - The insight object
+ * @param {Object} payload - Rendered tweet payload
+ * @param {string} payload.text - The formatted tweet text
+ * @param {string[]} payload.replies - Summary replies in thread mode (empty for a single tweet)
+ * @param {Buffer|null} payload.imageBuffer - The image buffer (if images are enabled)
+ * @param {string|null} payload.altText - Description of the image
+ * @param {Object|null} previous - Partly posted thread from an earlier run, resumed instead of starting over
+ * @returns {Promise<Object>} Normalized result with tweet ID(s), URL and account used
  */
-export async function sendInsightToTwitter(insight, imageBuffer, config) {
-    const maxRetries = config.twitter.enableFallback ? getAvailableTwitterAccounts().length : 1;
+export async function sendInsightToTwitter(insight, { text, replies = [], imageBuffer, altText = null }, previous = null) {
+    if (previous?.tweetIds?.length) {
+        console.log(`🧵 Resuming thread for insight ${insight.id} after ${previous.tweetIds.length} tweet(s)`);
+        return postThreadReplies(insight, replies, previous);
+    }
+
+    const rotation = getAccountRotation();
+    if (rotation.length === 0) {
+        const error = new Error(`Every Twitter account is rate limited until ${new Date(getEarliestAccountReset() * 1000).toLocaleString()}`);
+        error.code = 429;
+        throw error;
+    }
+    
+    // Without fallback the insight is only tried on the account the rotation picked
+    const accounts = config.twitter.enableFallback ? rotation : rotation.slice(0, 1);
     let lastError = null;
+    let thread = null;
     
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    for (const [attempt, account] of accounts.entries()) {
         try {
-            console.log(`📝 Attempt ${attempt + 1}/${maxRetries} to post insight ${insight.id}`);
-            
-            // Format the tweet text
-            const insightUrl = `${config.insights.baseUrl}${insight.id}`;
-            const insightText = formatInsightForTwitter(insight, insightUrl);
+            console.log(`📝 Attempt ${attempt + 1}/${accounts.length} to post insight ${insight.id}`);
             
             let response;
             
-            if (config.twitter.postImages && imageBuffer) {
+            if (imageBuffer) {
                 console.log(`Sending tweet with image for insight ${insight.id}`);
-                response = await postTweetWithMedia(insightText, imageBuffer);
+                response = await postTweetWithMedia(text, imageBuffer, altText, account);
             } else {
                 console.log(`Sending text-only tweet for insight ${insight.id}`);
-                response = await postTweet(insightText);
+                response = await postTweet(text, account);
             }
             
             // Extract tweet URL from response
             const tweetId = response.data.id;
             const tweetUrl = `https://twitter.com/i/web/status/${tweetId}`;
             
-            const credentials = getTwitterCredentials(currentAccountIndex);
-            console.log(`✅ Posted to Twitter (${credentials.accountName}): ${tweetUrl}`);
-            
-            // Add to cache with platform information
-            const platformResponse = {
-                platform: 'twitter',
-                url: tweetUrl,
-                id: tweetId,
-                timestamp: new Date().toISOString(),
-                accountUsed: credentials.accountName
-            };
+            console.log(`✅ Posted to Twitter (${account.name}): ${tweetUrl}`);
+            recordAccountUsed(account.name);
             
-            addProcessedInsight(insight.id, {}, platformResponse);
-            
-            // Reset to primary account after successful post
-            if (attempt > 0) {
-                resetToFrimaryAccount();
+            // Replies are posted outside this loop so their errors never repost the headline from a fallback account
+            if (replies.length) {
+                thread = { tweetIds: [tweetId], accountUsed: account.name, raw: response };
+                break;
             }
             
-            return tweetUrl;
+            return toTweetResult([tweetId], account.name, { raw: response });
             
         } catch (error) {
             console.error(`❌ Failed to post insight ${insight.id} to Twitter (attempt ${attempt + 1}):`, error.message);
             lastError = error;
             
-            // Check for rate limit and cache it
+            // Rate limited accounts leave the rotation until they reset
             if (error.code === 429) {
-                console.error(`🛑 Rate limit hit on account: ${getTwitterCredentials(currentAccountIndex).accountName}`);
-                cacheRateLimitError(error);
+                limitTwitterAccount(account, error);
                 
-                // Try fallback account if enabled and available
-                if (config.twitter.enableFallback && attempt < maxRetries - 1) {
-                    if (switchToFallbackAccount()) {
-                        console.log(`🔄 Retrying with fallback account...`);
-                        continue;
-                    }
+                // Try the next account in the rotation if fallback is enabled
+                if (attempt < accounts.length - 1) {
+                    console.log(`🔄 Retrying with fallback account: ${accounts[attempt + 1].name}`);
+                    continue;
                 }
                 
                 // If no fallback available or fallback disabled, re-throw error
@@ -324,35 +436,152 @@ export async function sendInsightToTwitter(insight, imageBuffer, config) {
             
             // For non-rate-limit errors, don't retry with fallback
             if (attempt === 0 && config.twitter.enableFallback) {
-                console.warn(`⚠️ Non-rate-limit error on primary account, not trying fallback for: ${error.message}`);
+                console.warn(`⚠️ Non-rate-limit error on ${account.name}, not trying fallback for: ${error.message}`);
             }
             throw error;
         }
     }
     
+    if (thread) {
+        return postThreadReplies(insight, replies, thread);
+    }
+    
     // If we get here, all attempts failed
     throw new Error(`All Twitter accounts failed to post insight. Last error: ${lastError?.message}`);
 }
 
 /**
- * Formats insight text for Twitter (280 character limit)
+ * Deletes a tweet with the account that posted it
+ * @param {string} tweetId - Tweet ID
+ * @param {string} accountName - Account name stored as accountUsed
+ * @throws {Error} When that account is no longer configured
+ */
+export async function deleteTweet(tweetId, accountName) {
+    const account = findTwitterAccount(accountName);
+    // Another account's credentials can't delete the tweet - and must never be tried in its place
+    if (!account) {
+        throw new Error(`Twitter account "${accountName}" that posted tweet ${tweetId} is no longer configured - not deleting it`);
+    }
+    const client = createTwitterClient(account);
+    
+    try {
+        await client.v2.deleteTweet(tweetId);
+        console.log(`🗑️ Deleted tweet ${tweetId}`);
+    } catch (error) {
+        if (error.code === 429) {
+            limitTwitterAccount(account, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Formats insight text for Twitter (280 weighted characters, the link counts 23)
  * @param {Object} insight - The insight object
  * @param {string} insightUrl - The URL to the insight
+ * @param {string[]} tags - Cashtags and hashtags, appended only as far as they fit after the headline
  * @returns {string} Formatted tweet text
  */
-export function formatInsightForTwitter(insight, insightUrl) {
-    const maxLength = 280;
-    const urlLength = 24; // Twitter's t.co URL length + space
-    const availableLength = maxLength - urlLength;
+export function formatInsightForTwitter(insight, insightUrl, tags = []) {
+    const suffix = ` ${insightUrl}`;
+    const available = MAX_TWEET_LENGTH - getWeightedLength(suffix);
+    const text = truncateToWeightedLength(insight.headline, available);
     
-    // Use headline if available, fallback to title
-    let text = insight.headline || insight.title || 'New insight available';
-    
-    // If text is too long, truncate it
-    if (text.length > availableLength) {
-        text = text.substring(0, availableLength - 3) + '...';
-    }
+    // The headline always comes first - tags only use what it leaves, after a blank line
+    const tagSeparator = '\n\n';
+    const tagText = fitTags(tags, available - getWeightedLength(text) - tagSeparator.length, getWeightedLength);
     
     // Return clean URL without zero-width characters (custom images prevent link preview anyway)
-    return `${text} ${insightUrl}`;
-}
\ No newline at end of file
+    return tagText ? `${text}${suffix}${tagSeparator}${tagText}` : `${text}${suffix}`;
+}
+
+/**
+ * Splits an insight summary into thread replies at sentence boundaries
+ * Sentences are packed into as few tweets as possible; a sentence longer than a tweet is split at words
+ * @param {string|null} summary - Insight summary
+ * @param {number} maxReplies - Maximum number of replies, the last one ends with "..." when the summary is cut
+ * @returns {string[]} Reply texts (empty without a summary)
+ */
+export function formatThreadReplies(summary, maxReplies = config.twitter.threadMaxReplies) {
+    if (!summary) {
+        return [];
+    }
+
+    const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+    const sentences = [...segmenter.segment(summary.normalize('NFC'))].map(({ segment }) => segment.trim()).filter(Boolean);
+    const replies = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+        const candidate = current ? `${current} ${sentence}` : sentence;
+        if (getWeightedLength(candidate) <= MAX_TWEET_LENGTH) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            replies.push(current);
+        }
+
+        // Sentences that don't fit in one tweet are split between words
+        current = sentence;
+        while (getWeightedLength(current) > MAX_TWEET_LENGTH) {
+            const part = truncateToWeightedLength(current, MAX_TWEET_LENGTH, '');
+            replies.push(part);
+            current = current.substring(part.length).trimStart();
+        }
+    }
+    if (current) {
+        replies.push(current);
+    }
+
+    if (replies.length > maxReplies) {
+        const last = replies[maxReplies - 1];
+        replies.length = maxReplies;
+        replies[maxReplies - 1] = `${truncateToWeightedLength(last, MAX_TWEET_LENGTH - 4, '')} ...`;
+    }
+    return replies;
+}
+
+export const twitterPublisher = {
+    name: 'twitter',
+
+    validateConfig() {
+        if (!ROTATION_STRATEGIES.includes(config.twitter.rotationStrategy)) {
+            throw new Error(`TWITTER_ROTATION_STRATEGY must be one of ${ROTATION_STRATEGIES.join(', ')}`);
+        }
+        const accounts = getTwitterAccounts(); // This will throw on missing credentials or an invalid accounts file
+        console.log(`Twitter configured - ${accounts.length} account(s): ${accounts.map(account => account.name).join(', ')} (${accounts.length > 1 ? config.twitter.rotationStrategy : 'no rotation'}), Images: ${config.twitter.postImages ? 'enabled' : 'disabled'}, Threads: ${config.twitter.threads ? `up to ${config.twitter.threadMaxReplies} replies` : 'disabled'} (${config.twitter.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    preflight: checkTwitterRateLimit,
+
+    async render(insight, { getImage }) {
+        let imageBuffer = null;
+        
+        if (config.twitter.postImages) {
+            const imageData = await getImage();
+            if (Buffer.isBuffer(imageData)) {
+                imageBuffer = imageData;
+            }
+        } else {
+            console.log(`Images disabled - rendering text-only tweet for insight ${insight.id}`);
+        }
+        
+        return {
+            text: formatInsightForTwitter(insight, insight.url, config.twitter.tags ? getInsightTags(insight) : []),
+            replies: config.twitter.threads ? formatThreadReplies(insight.summary) : [],
+            imageBuffer,
+            altText: imageBuffer ? getAltText(insight) : null
+        };
+    },
+
+    send: sendInsightToTwitter,
+
+    // Tweets can't be edited through the API, so changed insights are only deleted when retracted
+    async remove({ tweetId, tweetIds = [tweetId], accountUsed }) {
+        // Replies first, so a failure never leaves replies under a deleted headline tweet
+        for (const id of [...tweetIds].reverse()) {
+            await deleteTweet(id, accountUsed);
+        }
+    }
+};
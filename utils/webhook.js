@@ -0,0 +1,178 @@
+/**
+ * Generic webhook utility module
+ * POSTs a signed JSON envelope for each insight so other services can consume them
+ *
+ * Receivers verify a delivery by computing
+ *   HMAC-SHA256(WEBHOOK_SECRET, `${X-Polaris-Timestamp}.${rawBody}`)
+ * and comparing it with the hex digest in X-Polaris-Signature (prefixed with "sha256=").
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { ConsoleLogColors } from "js-console-log-colors";
+import { config, getWebhookUrl } from './config.js';
+import { cacheRateLimitError, checkPlatformRateLimit } from './rate-limit-cache.js';
+import { getSourceImageUrl } from './image.js';
+
+const out = new ConsoleLogColors();
+const USER_AGENT = 'polaris-insights-bot';
+
+/**
+ * Maps an insight to the fields exposed in the webhook envelope
+ * @param {Object} insight - The insight object
+ * @returns {Object} Insight fields for receivers
+ */
+export function toWebhookInsight(insight) {
+    return {
+        id: insight.id,
+        headline: insight.headline,
+        summary: insight.summary,
+        url: insight.url,
+        publishedAt: insight.publishedAt,
+        subject: insight.subject,
+        backgroundType: insight.backgroundType,
+        backgroundValue: insight.backgroundValue,
+        visualizationType: insight.visualizationType,
+        visualizationValue: insight.visualizationValue,
+        tokenImageUrls: insight.tokenLogoUrls
+    };
+}
+
+/**
+ * Signs a request body
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix timestamp sent in X-Polaris-Timestamp
+ * @returns {string} Signature header value
+ */
+export function signWebhookBody(body, timestamp) {
+    const digest = crypto.createHmac('sha256', config.webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Builds the envelope, embedding the rendered card as base64 or linking the image
+ * @param {Object} insight - The insight object
+ * @param {Buffer|string|null} imageData - Rendered card buffer or remote image URL
+ * @returns {Object} Webhook envelope
+ */
+export function buildWebhookEnvelope(insight, imageData) {
+    let image = null;
+
+    if (Buffer.isBuffer(imageData) && config.webhook.imageMode === 'base64') {
+        image = { mimeType: 'image/jpeg', base64: imageData.toString('base64') };
+    } else if (typeof imageData === 'string') {
+        image = { url: imageData };
+    } else if (getSourceImageUrl(insight)) {
+        image = { url: getSourceImageUrl(insight) };
+    }
+
+    return {
+        event: 'insight.published',
+        deliveredAt: new Date().toISOString(),
+        testMode: config.webhook.testMode,
+        insight: toWebhookInsight(insight),
+        image
+    };
+}
+
+/**
+ * Delivers an envelope, retrying 5xx responses and network errors with exponential backoff
+ * @param {Object} envelope - Webhook envelope
+ * @param {string} deliveryId - Stable ID receivers can use to drop duplicates
+ * @returns {Promise<Object>} { status, body }
+ */
+export async function deliverWebhook(envelope, deliveryId) {
+    const url = getWebhookUrl();
+    const body = JSON.stringify(envelope);
+    const maxAttempts = config.webhook.maxRetries + 1;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Sign every attempt so receivers can reject stale timestamps
+        const timestamp = Math.floor(Date.now() / 1000);
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Polaris-Event': envelope.event,
+                    'X-Polaris-Delivery': deliveryId,
+                    'X-Polaris-Timestamp': String(timestamp),
+                    'X-Polaris-Signature': signWebhookBody(body, timestamp)
+                },
+                body
+            });
+        } catch (error) {
+            if (attempt === maxAttempts) {
+                throw new Error(`Webhook delivery failed after ${attempt} attempts: ${error.message}`);
+            }
+            await backoff(attempt, error.message);
+            continue;
+        }
+
+        if (response.status === 429) {
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10) || 60;
+            const error = new Error(`Webhook rate limit exceeded (429), retry after ${retryAfter}s`);
+            error.code = 429;
+            error.rateLimit = { remaining: 0, limit: null, reset: Math.ceil(Date.now() / 1000) + retryAfter };
+            cacheRateLimitError(error, 'webhook');
+            throw error;
+        }
+
+        const responseText = await response.text();
+
+        if (response.status >= 500 && attempt < maxAttempts) {
+            await backoff(attempt, `status ${response.status}`);
+            continue;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Webhook error! status: ${response.status}, response: ${responseText.substring(0, 500)}`);
+        }
+
+        return { status: response.status, body: responseText };
+    }
+}
+
+async function backoff(attempt, reason) {
+    const delayMs = 1000 * 2 ** (attempt - 1);
+    out.warn(`⏳ Webhook delivery attempt ${attempt} failed (${reason}) - retrying in ${delayMs / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+}
+
+export const webhookPublisher = {
+    name: 'webhook',
+
+    validateConfig() {
+        const url = getWebhookUrl(); // This will throw if misconfigured
+        if (!config.webhook.secret) {
+            throw new Error('WEBHOOK_SECRET is not configured - deliveries must be signed');
+        }
+        if (!['base64', 'url'].includes(config.webhook.imageMode)) {
+            throw new Error(`WEBHOOK_IMAGE_MODE must be 'base64' or 'url', got '${config.webhook.imageMode}'`);
+        }
+        out.info(`Webhook configured - ${new URL(url).host}, images as ${config.webhook.imageMode} (${config.webhook.testMode ? 'TEST' : 'PROD'})`);
+    },
+
+    async preflight() {
+        return checkPlatformRateLimit('webhook');
+    },
+
+    async render(insight, { getImage }) {
+        return { envelope: buildWebhookEnvelope(insight, await getImage()) };
+    },
+
+    async send(insight, { envelope }) {
+        out.info(`Delivering webhook for insight ${insight.id}`);
+        const { status, body } = await deliverWebhook(envelope, insight.id);
+
+        return {
+            id: insight.id,
+            url: null,
+            raw: body,
+            meta: { status }
+        };
+    }
+};